@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+import { openAsBlob } from "node:fs";
+import { mkdir, open, readFile, writeFile } from "node:fs/promises";
+import { homedir, hostname } from "node:os";
+import { basename, dirname, extname, join } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  KDF_PRESETS,
+  MAILBOX_ID_FORMATS,
+  MESSAGE_FORMATS,
+  b64,
+  clipKey,
+  deleteClip,
+  deviceKeysFromPair,
+  fetchPart,
+  fileSource,
+  formatFingerprint,
+  isMailboxId,
+  messageFilename,
+  messageSource,
+  newMailboxId,
+  normalizeMailboxId,
+  openManifest,
+  ownerProof,
+  sendClip,
+  subscribe,
+} from "../public/sdk/netclip.js";
+
+const DEFAULT_SERVER = "https://clip.2api.ccwu.cc";
+
+const USAGE = `Usage: netclip <command> [options]
+
+Commands:
+  send -r <code> [file ...]   Send files and/or a message (-m, or stdin when piped)
+  recv                        Print the latest clip's message and save its files
+  watch                       Stay connected and output every new clip, plus
+                              delivery and read receipts for clips you sent
+  delete <clipId>             Delete a clip you sent or one in your mailbox
+  devices                     List the devices connected to this mailbox
+  name [name]                 Show or change the name this device announces
+  key [--set <ownerKey>]      Show or import this mailbox's owner key
+  mailbox [code]              Show or change the mailbox code of this terminal
+  mailbox --new <format>      Switch to a new random code: digits, base32 or words
+  whoami                      Show mailbox, device id and key fingerprint
+
+Send options:
+  -r, --to <code>             Receiver mailbox code
+      --device <id|name>      Deliver to one device only (names resolve in
+                              mailboxes this terminal owns)
+  -m, --message <text>        Message text ("-" reads stdin)
+      --format <type>         Message format: plain, markdown, html or code
+      --lang <language>       Language of a --format code message, e.g. python
+  -p, --passphrase <text>     Encrypt with a passphrase (or NETCLIP_PASSPHRASE)
+      --kdf <argon2id|pbkdf2> Passphrase KDF (default argon2id)
+      --plain                 Do not encrypt when the receiver has no device key
+      --ttl <time>            Expiry, e.g. 90s, 10m, 2h (default 15m; the
+                              server sets the longest allowed)
+      --burn                  Delete after the first full download
+      --max-downloads <n>     Delete after n full downloads
+
+Receive options:
+  -o, --out <dir>             Directory for files (default: current directory)
+  -p, --passphrase <text>     Passphrase for passphrase-encrypted clips
+      --all                   recv: output the whole history, oldest first
+
+Global options:
+  -u, --mailbox <code>        Use this mailbox instead of the configured one
+      --server <url>          Server URL (or NETCLIP_SERVER)
+  -h, --help                  Show this help
+
+Mailbox codes:
+  6 digits, 10 base32 characters (hardest to guess), word codes such as
+  blue-otter-42 (easy to read out, not hard to guess), or names such as
+  team-design (4 to 32 lowercase letters, digits and hyphens).
+`;
+
+const OPTIONS = {
+  to: { type: "string", short: "r" },
+  device: { type: "string" },
+  message: { type: "string", short: "m" },
+  format: { type: "string", default: "plain" },
+  lang: { type: "string" },
+  passphrase: { type: "string", short: "p" },
+  kdf: { type: "string", default: "argon2id" },
+  plain: { type: "boolean" },
+  ttl: { type: "string" },
+  burn: { type: "boolean" },
+  "max-downloads": { type: "string" },
+  out: { type: "string", short: "o" },
+  all: { type: "boolean" },
+  set: { type: "string" },
+  new: { type: "string" },
+  mailbox: { type: "string", short: "u" },
+  server: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+function configPath() {
+  if (process.env.NETCLIP_CONFIG) return process.env.NETCLIP_CONFIG;
+  return join(process.env.XDG_CONFIG_HOME || join(homedir(), ".config"), "netclip", "config.json");
+}
+
+async function loadConfig() {
+  const cfg = JSON.parse(await readFile(configPath(), "utf8").catch(() => "{}"));
+  cfg.owners ||= {};
+  cfg.sent ||= {};
+  if (!cfg.deviceId || !isMailboxId(cfg.userId)) {
+    cfg.deviceId ||= crypto.randomUUID();
+    cfg.userId = newMailboxId();
+    await saveConfig(cfg);
+  }
+  return cfg;
+}
+
+async function saveConfig(cfg) {
+  const now = Date.now();
+  for (const [id, s] of Object.entries(cfg.sent)) if (s.expiresAt <= now) delete cfg.sent[id];
+
+  await mkdir(dirname(configPath()), { recursive: true, mode: 0o700 });
+  await writeFile(configPath(), JSON.stringify(cfg, null, 2) + "\n", { mode: 0o600 });
+}
+
+// The private key is stored as a JWK in the config file, which is only
+// readable by the current user.
+async function loadDeviceKeys(cfg) {
+  if (!cfg.deviceKey) {
+    const pair = await crypto.subtle.generateKey({ name: "X25519" }, true, ["deriveBits"]);
+    cfg.deviceKey = { privateJwk: await crypto.subtle.exportKey("jwk", pair.privateKey) };
+    await saveConfig(cfg);
+  }
+  const privateKey = await crypto.subtle.importKey("jwk", cfg.deviceKey.privateJwk, { name: "X25519" }, false, [
+    "deriveBits",
+  ]);
+  const { kty, crv, x } = cfg.deviceKey.privateJwk;
+  const publicKey = await crypto.subtle.importKey("jwk", { kty, crv, x }, { name: "X25519" }, true, []);
+  return deviceKeysFromPair({ privateKey, publicKey });
+}
+
+function ownerSecret(cfg, userId) {
+  return cfg.owners[userId] || b64(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+function parseTtl(text) {
+  if (text === undefined) return undefined;
+  const m = /^(\d+)([smhd]?)$/.exec(text);
+  if (!m) throw new Error(`Invalid --ttl: ${text}`);
+  return Number(m[1]) * { "": 1, s: 1, m: 60, h: 3600, d: 86400 }[m[2]];
+}
+
+function log(...args) {
+  console.error(...args);
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+const MIME_TYPES = {
+  ".txt": "text/plain",
+  ".json": "application/json",
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".zip": "application/zip",
+};
+
+async function cmdSend(opts, positionals, cfg) {
+  const receiverId = normalizeMailboxId(opts.to);
+  if (!isMailboxId(receiverId)) throw new Error("--to must be a mailbox code.");
+
+  const sources = [];
+  let message = opts.message;
+  if (message === "-" || (message === undefined && !positionals.length && !process.stdin.isTTY)) {
+    message = (await readStdin()).toString("utf8");
+  }
+  if (message) sources.push(messageSource(message, { format: opts.format, lang: opts.lang }));
+  for (const path of positionals) {
+    const mime = MIME_TYPES[extname(path).toLowerCase()] || "application/octet-stream";
+    sources.push(fileSource(await openAsBlob(path), basename(path), mime));
+  }
+
+  const maxDownloads = opts["max-downloads"] === undefined ? undefined : Number(opts["max-downloads"]);
+  if (maxDownloads !== undefined && !(Number.isSafeInteger(maxDownloads) && maxDownloads > 0)) {
+    throw new Error("--max-downloads must be a positive integer.");
+  }
+  const to = opts.device === undefined ? undefined : await resolveDevice(opts, cfg, receiverId, opts.device);
+
+  const result = await sendClip({
+    server: opts.server,
+    receiverId,
+    sources,
+    passphrase: opts.passphrase ?? process.env.NETCLIP_PASSPHRASE ?? "",
+    kdf: opts.kdf,
+    plain: !!opts.plain,
+    fromUser: cfg.userId,
+    fromDevice: cfg.deviceId,
+    ownerSecret: cfg.owners[cfg.userId],
+    ttlSec: parseTtl(opts.ttl),
+    burn: !!opts.burn,
+    maxDownloads,
+    to,
+    onProgress: (sent, total) => {
+      if (process.stderr.isTTY) process.stderr.write(`\ruploading ${Math.floor((sent / total) * 100)}%`);
+    },
+  });
+  if (process.stderr.isTTY) process.stderr.write("\n");
+
+  cfg.sent[result.clipId] = { receiverId, revokeToken: result.revokeToken, expiresAt: result.expiresAt };
+  await saveConfig(cfg);
+
+  const how =
+    result.enc === null
+      ? "unencrypted"
+      : result.recipients
+        ? `encrypted to ${result.recipients} device key(s)`
+        : `encrypted with passphrase (${result.enc})`;
+  if (to) log(`delivered to device ${to} only`);
+  log(`sent ${how}, expires ${new Date(result.expiresAt).toLocaleString()}`);
+  console.log(result.clipId);
+}
+
+async function uniquePath(dir, name) {
+  const ext = extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  for (let i = 0; ; i++) {
+    const path = join(dir, i ? `${stem} (${i})${ext}` : name);
+    try {
+      return { path, handle: await open(path, "wx") };
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+  }
+}
+
+function safeFilename(name, fallback) {
+  const base = String(name || "").replace(/[/\\\0]/g, "_").replace(/^\.+/, "").trim();
+  return base.slice(0, 255) || fallback;
+}
+
+async function outputClip(clip, opts, keys) {
+  const key = clip.enc
+    ? await clipKey(clip, { passphrase: opts.passphrase ?? process.env.NETCLIP_PASSPHRASE, deviceKeys: keys })
+    : null;
+  const parts = await openManifest(clip, key);
+
+  for (const [i, p] of parts.entries()) {
+    if (p.kind === "message" && !opts.out) {
+      for await (const chunk of fetchPart(opts.server, clip, p, key)) process.stdout.write(chunk);
+      continue;
+    }
+
+    const dir = opts.out || ".";
+    await mkdir(dir, { recursive: true });
+    const fallback = p.kind === "message" ? messageFilename(p) : `${clip.id}-${i + 1}.bin`;
+    const { path, handle } = await uniquePath(dir, safeFilename(p.kind === "message" ? messageFilename(p) : p.filename, fallback));
+    try {
+      for await (const chunk of fetchPart(opts.server, clip, p, key)) await handle.write(chunk);
+    } finally {
+      await handle.close();
+    }
+    log(`saved ${path}`);
+  }
+}
+
+function connect(opts, cfg, keys, onEvent) {
+  const userId = opts.mailbox || cfg.userId;
+  const secret = ownerSecret(cfg, userId);
+  return subscribe({
+    server: opts.server,
+    userId,
+    deviceId: cfg.deviceId,
+    ownerSecret: secret,
+    deviceKeys: keys,
+    deviceName: cfg.deviceName || hostname(),
+    onEvent: async (msg) => {
+      if (msg.type === "authed" && cfg.owners[userId] !== secret) {
+        cfg.owners[userId] = secret;
+        await saveConfig(cfg);
+      }
+      if (msg.type === "auth-failed") {
+        msg.error =
+          msg.reason === "bad-proof" || msg.reason === "claimed"
+            ? `Mailbox ${userId} is owned by another device. Import its owner key with: netclip key --set <key>`
+            : `Authentication failed (${msg.reason}).`;
+      }
+      await onEvent(msg);
+    },
+  });
+}
+
+async function cmdRecv(opts, cfg) {
+  const keys = await loadDeviceKeys(cfg);
+  await new Promise((resolve, reject) => {
+    const conn = connect(opts, cfg, keys, async (msg) => {
+      try {
+        if (msg.type === "auth-failed") throw new Error(msg.error);
+        if (msg.type === "close") throw new Error("Connection closed before history arrived.");
+        if (msg.type !== "history") return;
+
+        const items = msg.items || [];
+        if (!items.length) log("mailbox is empty");
+
+        let failed = 0;
+        for (const entry of opts.all ? items.slice().reverse() : items.slice(0, 1)) {
+          await outputClip(entry.clip, opts, keys).catch((e) => {
+            failed++;
+            log(`clip ${entry.clip.id}: ${e.message}`);
+          });
+        }
+        conn.close();
+        if (failed) process.exitCode = 1;
+        resolve();
+      } catch (e) {
+        conn.close();
+        reject(e);
+      }
+    });
+  });
+}
+
+// Connects just long enough to receive the mailbox's presence list.
+async function listDevices(opts, cfg, userId) {
+  const keys = await loadDeviceKeys(cfg);
+  return new Promise((resolve, reject) => {
+    const conn = connect({ ...opts, mailbox: userId }, cfg, keys, async (msg) => {
+      if (msg.type === "presence") {
+        conn.close();
+        resolve(msg.devices || []);
+      } else if (msg.type === "auth-failed") {
+        conn.close();
+        reject(new Error(msg.error));
+      } else if (msg.type === "close") {
+        reject(new Error("Connection closed before the device list arrived."));
+      }
+    });
+  });
+}
+
+async function resolveDevice(opts, cfg, receiverId, wanted) {
+  if (!cfg.owners[receiverId]) return wanted;
+
+  const devices = await listDevices(opts, cfg, receiverId);
+  const match =
+    devices.find((d) => d.deviceId === wanted) ||
+    devices.find((d) => d.name && d.name.toLowerCase() === wanted.toLowerCase());
+  if (!match) throw new Error(`No device "${wanted}" in mailbox ${receiverId}; see netclip devices.`);
+  return match.deviceId;
+}
+
+async function cmdWatch(opts, cfg) {
+  const keys = await loadDeviceKeys(cfg);
+  const receipts = new Map();
+  let delay = 1000;
+
+  for (;;) {
+    const closed = await new Promise((resolve) => {
+      connect(opts, cfg, keys, async (msg) => {
+        if (msg.type === "authed") {
+          delay = 1000;
+          log(`watching mailbox ${opts.mailbox || cfg.userId}`);
+        } else if (msg.type === "clip") {
+          await outputClip(msg.clip, opts, keys).catch((e) => log(`clip ${msg.clip.id}: ${e.message}`));
+        } else if (msg.type === "deleted") {
+          log(`clip ${msg.clipId} deleted (${msg.reason})`);
+        } else if (msg.type === "receipt") {
+          const summary = `delivered to ${msg.delivered} device(s), opened on ${msg.opened}`;
+          if (receipts.get(msg.clipId) !== summary) log(`sent clip ${msg.clipId}: ${summary}`);
+          receipts.set(msg.clipId, summary);
+        } else if (msg.type === "auth-failed") {
+          resolve(msg.error);
+        } else if (msg.type === "close") {
+          resolve(null);
+        }
+      });
+    });
+    if (closed) throw new Error(closed);
+
+    log(`disconnected, retrying in ${delay / 1000}s`);
+    await new Promise((r) => setTimeout(r, delay));
+    delay = Math.min(delay * 2, 30000);
+  }
+}
+
+async function cmdDelete(opts, positionals, cfg) {
+  const clipId = positionals[0];
+  if (!clipId) throw new Error("Usage: netclip delete <clipId>");
+
+  const sent = cfg.sent[clipId];
+  let result;
+  if (sent && !opts.mailbox) {
+    result = await deleteClip(opts.server, sent.receiverId, clipId, { revokeToken: sent.revokeToken });
+  } else {
+    const userId = opts.mailbox || cfg.userId;
+    if (!cfg.owners[userId]) throw new Error(`No owner key for mailbox ${userId}.`);
+    result = await deleteClip(opts.server, userId, clipId, await ownerProof(cfg.owners[userId], "delete", clipId));
+  }
+
+  delete cfg.sent[clipId];
+  await saveConfig(cfg);
+  log(result.deleted ? "deleted" : "nothing to delete (already gone)");
+}
+
+async function cmdDevices(opts, cfg) {
+  const devices = await listDevices(opts, cfg, opts.mailbox || cfg.userId);
+  for (const d of devices) {
+    const seen = d.online ? "online" : `last seen ${new Date(d.lastSeen).toLocaleString()}`;
+    const self = d.deviceId === cfg.deviceId ? " (this device)" : "";
+    console.log(`${d.deviceId}  ${d.name || "-"}  ${seen}${self}`);
+  }
+}
+
+async function cmdName(positionals, cfg) {
+  if (positionals.length) {
+    cfg.deviceName = positionals.join(" ").trim().slice(0, 40);
+    await saveConfig(cfg);
+  }
+  console.log(cfg.deviceName || hostname());
+}
+
+async function cmdKey(opts, cfg) {
+  const userId = opts.mailbox || cfg.userId;
+  if (opts.set !== undefined) {
+    cfg.owners[userId] = opts.set.trim();
+    await saveConfig(cfg);
+    log(`owner key saved for mailbox ${userId}`);
+    return;
+  }
+  if (!cfg.owners[userId]) throw new Error(`No owner key for mailbox ${userId} yet; run netclip recv once to claim it.`);
+  console.log(cfg.owners[userId]);
+}
+
+async function cmdMailbox(opts, positionals, cfg) {
+  if (opts.new !== undefined) {
+    if (!MAILBOX_ID_FORMATS.includes(opts.new)) {
+      throw new Error(`--new must be one of: ${MAILBOX_ID_FORMATS.join(", ")}`);
+    }
+    cfg.userId = newMailboxId(opts.new);
+    await saveConfig(cfg);
+  } else if (positionals[0]) {
+    const userId = normalizeMailboxId(positionals[0]);
+    if (!isMailboxId(userId)) throw new Error(`Not a mailbox code: ${positionals[0]}`);
+    cfg.userId = userId;
+    await saveConfig(cfg);
+  }
+  console.log(cfg.userId);
+}
+
+async function cmdWhoami(opts, cfg) {
+  const keys = await loadDeviceKeys(cfg);
+  console.log(`server   ${opts.server}`);
+  console.log(`mailbox  ${opts.mailbox || cfg.userId}`);
+  console.log(`device   ${cfg.deviceId} (${cfg.deviceName || hostname()})`);
+  console.log(`key      ${formatFingerprint(keys.kid)}`);
+}
+
+async function main() {
+  const { values: opts, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (opts.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  opts.server ||= process.env.NETCLIP_SERVER || DEFAULT_SERVER;
+  if (!KDF_PRESETS[opts.kdf]) throw new Error(`--kdf must be one of: ${Object.keys(KDF_PRESETS).join(", ")}`);
+  if (!Object.hasOwn(MESSAGE_FORMATS, opts.format)) {
+    throw new Error(`--format must be one of: ${Object.keys(MESSAGE_FORMATS).join(", ")}`);
+  }
+  if (opts.lang !== undefined && opts.format !== "code") throw new Error("--lang needs --format code.");
+  if (opts.mailbox !== undefined) {
+    opts.mailbox = normalizeMailboxId(opts.mailbox);
+    if (!isMailboxId(opts.mailbox)) throw new Error("--mailbox must be a mailbox code.");
+  }
+
+  const cfg = await loadConfig();
+  if (command === "send") await cmdSend(opts, rest, cfg);
+  else if (command === "recv") await cmdRecv(opts, cfg);
+  else if (command === "watch") await cmdWatch(opts, cfg);
+  else if (command === "delete") await cmdDelete(opts, rest, cfg);
+  else if (command === "devices") await cmdDevices(opts, cfg);
+  else if (command === "name") await cmdName(rest, cfg);
+  else if (command === "key") await cmdKey(opts, cfg);
+  else if (command === "mailbox") await cmdMailbox(opts, rest, cfg);
+  else if (command === "whoami") await cmdWhoami(opts, cfg);
+  else throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+}
+
+main().catch((e) => {
+  log(`netclip: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,560 @@
+// NetClipboard message catalog, shared by the web page (served from
+// /i18n/messages.js) and the Worker, which localizes its JSON error bodies.
+// Entries are plain strings with {name} placeholders; English is the
+// fallback for any locale or key that is missing.
+
+export const DEFAULT_LOCALE = "en";
+export const LOCALES = ["en", "zh-TW"];
+
+/** Names for the language switcher, each in its own language. */
+export const LOCALE_NAMES = { en: "English", "zh-TW": "繁體中文" };
+
+const en = {
+  "app.fromCode": "Your code",
+  "app.idFormat": "Format of new codes",
+  "app.idFormat.digits": "6 digits",
+  "app.idFormat.base32": "10 characters",
+  "app.idFormat.words": "Words (memorable)",
+  "app.badCode":
+    "Use a mailbox code: 6 digits, 10 characters, words such as blue-otter-42, or a name such as team-design (lowercase letters, digits and hyphens, 4 to 32 characters)",
+  "app.ownerKey": "Owner key",
+  "app.showQr": "Show pairing QR code",
+  "app.theme": "Dark / light",
+  "app.language": "Language",
+  "app.tip":
+    "Tip: clips are encrypted in the browser before upload, to the receiver's device keys by default or with a passphrase you set, so Cloudflare sees neither the content nor file names and types. It can still see when a clip was sent, to which code, and roughly how large it is. If the receiver has no device key yet and you set no passphrase, the clip is sent unencrypted. Each clip is deleted once the expiry chosen when sending runs out, and the sender or receiver can delete it at any time.",
+
+  "conn.idle": "Not connected",
+  "conn.connecting": "Connecting…",
+  "conn.verifying": "Verifying…",
+  "conn.error": "Connection error",
+  "conn.closed": "Disconnected",
+  "conn.authed": "Connected (owner verified)",
+  "conn.claimed": "This code is claimed by another device (tap the key to enter its owner key)",
+  "conn.claimedWithKey": "Verification failed: this code is claimed by another device",
+  "conn.badSecret": "Verification failed: the owner key does not match",
+
+  "tab.send": "Send",
+  "tab.recv": "Receive",
+
+  "send.receiver": "Receiver code (required)",
+  "send.receiverPlaceholder": "e.g. 123456 or team-design",
+  "send.scanQr": "Scan QR code",
+  "send.saveContact": "Add / update contact",
+  "send.target": "Deliver to",
+  "send.passphrase": "Passphrase (optional; leave empty to encrypt with the receiver's device keys)",
+  "send.passphrasePlaceholder": "Only needed when the receiver has no device keys yet",
+  "send.kdf": "Passphrase hardening",
+  "send.kdfArgon2id": "Argon2id (recommended, 19 MiB / 2 passes)",
+  "send.kdfPbkdf2": "PBKDF2-SHA-256 (600,000 iterations)",
+  "send.message": "Message (optional)",
+  "send.messagePlaceholder": "Long or multi-line text… (can be encrypted)",
+  "send.formatPlain": "Plain text",
+  "send.formatHtml": "HTML (keeps formatting)",
+  "send.codeLang": "Language, e.g. python",
+  "send.files": "Attachments (optional; any number of images or files)",
+  "send.ttl": "Keep for",
+  "send.ttl60": "1 minute",
+  "send.ttl300": "5 minutes",
+  "send.ttl900": "15 minutes",
+  "send.ttl3600": "1 hour",
+  "send.ttl86400": "1 day",
+  "send.ttl604800": "7 days",
+  "send.maxDownloads": "Download limit",
+  "send.unlimited": "No limit",
+  "send.burn": "Burn after reading (deleted after the first full download)",
+  "send.submit": "Send",
+  "send.clear": "Clear",
+  "send.working": "Working…",
+  "send.resuming": "Resuming the unfinished upload…",
+  "send.uploading": "Uploading… {percent}%",
+  "send.sentPlain": "Sent (not encrypted)",
+  "send.sentDeviceKeys": "Sent (encrypted with the keys of {count} receiving devices)",
+  "send.sentPassphrase": "Sent (passphrase encrypted)",
+  "send.expiresAt": ", expires {time}",
+  "send.onlyTo": ", only to “{device}”",
+  "send.retryHint": " (press Send again to resume)",
+  "send.error": "Error: {error}",
+  "send.filesAdded": "Added {added} file(s) ({total} in total)",
+  "send.keptHtml": "Pasted as plain text; choose “HTML” to keep the formatting",
+  "send.shareLost": "The shared files could not be brought in; please share again",
+  "send.shareTaken": "Brought in the shared content. ",
+  "send.pickContact": "Pick a contact and send",
+  "send.enterReceiver": "Enter the receiver code and send",
+  "send.summaryText": "text",
+  "send.listSeparator": ", ",
+  "send.receiverKeys": "Receiving device key fingerprints: {keys}",
+  "send.notPinned": " ⚠ not pinned",
+  "send.noReceiverKeys": "The receiver has no public keys yet (without a passphrase the clip is sent unencrypted)",
+  "send.pairingFilled": "Filled in receiver {to}",
+  "send.pairingFilledKey": "Filled in receiver {to} and a one-time passphrase",
+
+  "outbox.title": "Recently sent",
+  "outbox.toDevice": " (one device)",
+  "outbox.sentAt": "Sent {time}, time left ",
+  "outbox.revoke": "Revoke",
+  "outbox.sent": "Sent",
+  "outbox.undelivered": "Not delivered yet (shown once a receiving device is online)",
+  "outbox.delivered": "Delivered to {delivered} device(s), opened on {opened}",
+  "outbox.deleted": "Clip to {receiver} {reason}",
+  "outbox.deletedManual": "was deleted",
+  "outbox.deletedBurned": "was burned after reading",
+  "outbox.deletedMaxDownloads": "reached its download limit",
+  "outbox.deletedEvicted": "was pushed out by newer clips",
+  "outbox.deletedExpired": "expired",
+
+  "recv.waiting": "Waiting… (keep this page open to receive instantly)",
+  "recv.passphrasePrompt": "Encrypted clips: enter the passphrase",
+  "recv.passphrasePlaceholder": "Passphrase, used only on this device",
+  "recv.decrypt": "Decrypt",
+  "recv.heading": "Received clip (expires {time}{extra})",
+  "recv.burn": ", burn after reading",
+  "recv.maxDownloads": ", {count} download(s) allowed",
+  "recv.onlyHere": ", sent only to this device",
+  "recv.delete": "Delete",
+  "recv.addContact": "Add the sender to contacts",
+  "recv.encryptedPart": "Encrypted item #{index}",
+  "recv.image": "Image",
+  "recv.file": "File",
+  "recv.needPassphrase": "Enter the passphrase and press Decrypt to show the content",
+  "recv.load": "Load",
+  "recv.loading": "Loading…",
+  "recv.loaded": "Loaded {label} (tried to copy it to the clipboard)",
+  "recv.loadedAsText": "{error}; shown as plain text (tried to copy it to the clipboard)",
+  "recv.imageCopied": "Loaded the image (tried to copy it to the clipboard)",
+  "recv.imageNoCopy": "Loaded the image (this browser may not copy images directly; use Download)",
+  "recv.loadFailed": "Load failed: {error}",
+  "recv.download": "Download",
+  "recv.downloading": "Downloading…",
+  "recv.downloaded": "Downloaded",
+  "recv.downloadCanceled": "Download canceled",
+  "recv.downloadFailed": "Download failed: {error}",
+  "recv.deleting": "Deleting…",
+  "recv.deleted": "Deleted",
+  "recv.deleteFailed": "Delete failed: {error}",
+  "recv.decrypting": "Decrypting…",
+  "recv.decryptFailed": "{count} clip(s) could not be decrypted with this passphrase",
+  "recv.passphraseSet": "Passphrase set (Load / Download will decrypt)",
+  "recv.sentBurned": "This clip was burned after reading; its content is gone from the server",
+  "recv.sentMaxDownloads": "This clip reached its download limit; its content is gone from the server",
+
+  "format.text": "text",
+  "format.code": "Code",
+  "format.lang": "{format} ({lang})",
+
+  "devices.title": "Devices on this mailbox",
+  "devices.all": "All devices",
+  "devices.rename": "Name this device",
+  "devices.renamePrompt": "Name this device (e.g. My laptop)",
+  "devices.device": "Device {id}",
+  "devices.thisDevice": "{name} (this device)",
+  "devices.offline": "{name} (offline)",
+  "devices.online": "Online",
+  "devices.lastSeen": "Last seen {time}",
+  "devices.afterConnect": "Shown once connected",
+  "devices.ownKey": "This device's key fingerprint: {kid}",
+  "devices.noX25519": "This browser does not support X25519; only passphrase encryption is available",
+
+  "push.enable": "Enable notifications",
+  "push.disable": "Disable notifications",
+  "push.enabled": "Notifications for new clips are on",
+  "push.disabled": "Notifications for new clips are off",
+  "push.failed": "Could not set up notifications",
+  "push.failedWith": "Could not set up notifications: {error}",
+  "push.denied": "The browser did not allow notifications",
+  "push.newClip": "New clip received",
+  "push.newClipFrom": "New clip from {from}",
+
+  "owner.missing": "This device has no owner key for the mailbox",
+  "owner.copied":
+    "Copied this mailbox's owner key.\nOn another device, set the same code, tap the key and paste it to receive. Keep it private.",
+  "owner.prompt": "Enter this mailbox's owner key",
+
+  "contacts.setMaster": "Set a master password (encrypts saved passphrases; never uploaded)",
+  "contacts.repeatMaster": "Enter the master password again",
+  "contacts.masterMismatch": "The two master passwords differ",
+  "contacts.enterMaster": "Enter the master password",
+  "contacts.resetMaster": "Wrong master password. Reset it and clear all saved passphrases?",
+  "contacts.wrongMaster": "Wrong master password",
+  "contacts.nickname": "Contact name",
+  "contacts.pinKeys": "Pin the receiver's current {count} device key(s)? You will be warned when they change.",
+  "contacts.savePassphrase": "Save the current passphrase, encrypted with the master password?",
+  "contacts.confirmDelete": "Delete contact “{name}”?",
+  "contacts.unpinned": "The receiver has {count} unpinned device key(s) ({keys}). Encrypt to them anyway?",
+  "contacts.keyMismatch": "Canceled: the receiver's keys do not match the pinned ones",
+  "contacts.pinned": "Pinned keys",
+  "contacts.hasPassphrase": "Saved passphrase",
+  "contacts.delete": "Delete contact",
+
+  "qr.close": "Close",
+  "qr.withKey": "Include a one-time passphrase (clips from the scanning device are encrypted with it, and this page decrypts them automatically)",
+  "qr.showTitle": "Scan this code to send to this mailbox",
+  "qr.scanTitle": "Scan a pairing QR code",
+  "qr.starting": "Opening the camera…",
+  "qr.aim": "Point the camera at the QR code",
+  "qr.notPairing": "This is not a pairing QR code",
+  "qr.failed": "Cannot scan: {error}",
+  "qr.cameraDenied": "camera access was not allowed",
+
+  "lib.failed": "Could not load external component {name}",
+
+  "error.rate-limited": "Too many requests; try again in {retryAfter} s.",
+  "error.empty": "Write a message or attach at least one file",
+  "error.too-many": "At most {max} files per clip",
+  "error.needs-passphrase": "A passphrase is needed to decrypt",
+  "error.no-device-key": "This browser does not support X25519 keys",
+  "error.not-recipient": "This clip was not encrypted for this device",
+  "error.bad-key": "Wrong passphrase or damaged content",
+  "error.bad-kdf": "Invalid key derivation parameters",
+  "error.bad-ttl": "This server keeps clips for at most {max} seconds",
+  "error.bad-ciphertext": "The ciphertext is truncated or has the wrong length",
+  "error.bad-format": "Unsupported message format",
+  "error.bad-lang": "Language names may only contain letters, digits and + # . _ -",
+
+  "error.bad-user-id": "Invalid mailbox code.",
+  "error.bad-device-id": "Invalid device id.",
+  "error.expected-websocket": "Expected WebSocket Upgrade.",
+  "error.no-ticket-secret": "TICKET_SECRET is not configured.",
+  "error.bad-json": "Invalid JSON.",
+  "error.bad-receiver-id": "receiverId is not a mailbox code.",
+  "error.bad-clip-id": "Invalid clipId.",
+  "error.missing-parts": "Missing parts.",
+  "error.too-many-parts": "At most {max} parts per clip.",
+  "error.bad-part-name": "Invalid part name.",
+  "error.bad-part-size": "Invalid part size.",
+  "error.too-large": "Max upload is {max} bytes.",
+  "error.missing-clip": "Missing clip payload.",
+  "error.key-prefix": "Key prefix not allowed.",
+  "error.bad-object-key": "Invalid key.",
+  "error.bad-ticket": "Missing or invalid ticket.",
+  "error.ticket-no-multipart": "Ticket does not allow multipart upload.",
+  "error.ticket-no-upload": "Ticket does not allow upload.",
+  "error.ticket-no-download": "Ticket does not allow download.",
+  "error.length-required": "content-length required.",
+  "error.over-ticket": "Upload exceeds the size granted by the ticket.",
+  "error.not-found": "Not found.",
+  "error.method-not-allowed": "Method not allowed.",
+  "error.missing-upload-id": "Missing uploadId.",
+  "error.bad-part-number": "Invalid partNumber.",
+  "error.part-too-large": "Max part is {max} bytes.",
+  "error.multipart-failed": "Multipart upload failed: {reason}",
+  "error.missing-keys": "Missing keys.",
+  "error.owner-proof": "Owner proof required.",
+  "error.bad-target": "Invalid clip.to",
+  "error.bad-manifest": "Invalid manifest.",
+  "error.svg-image": "SVG images are not allowed.",
+  "error.no-parts": "Clip has no parts.",
+  "error.unissued-part": "Part key was not issued by an upload ticket.",
+  "error.part-not-uploaded": "Part has not been uploaded.",
+  "error.clip-exists": "Clip already exists.",
+  "error.missing-clip-id": "Missing clipId.",
+  "error.delete-forbidden": "Not allowed to delete this clip.",
+  "error.bad-outgoing": "Invalid outgoing clip.",
+  "error.bad-receipt": "Invalid receipt.",
+};
+
+const zhTW = {
+  "app.fromCode": "寄件人代碼",
+  "app.idFormat": "新代碼的格式",
+  "app.idFormat.digits": "6 位數字",
+  "app.idFormat.base32": "10 個字元",
+  "app.idFormat.words": "單字（好記）",
+  "app.badCode":
+    "請輸入信箱代碼：6 位數字、10 個字元、像 blue-otter-42 的單字代碼，或像 team-design 的名稱（小寫英文字母、數字與連字號，4 到 32 個字元）",
+  "app.ownerKey": "擁有者金鑰",
+  "app.showQr": "顯示配對 QR 碼",
+  "app.theme": "深色/淺色",
+  "app.language": "語言",
+  "app.tip":
+    "提示：內容會在瀏覽器端加密後才上傳，預設以收件裝置的金鑰加密，也可自訂口令，Cloudflare 看不到內容，也看不到檔名與類型，但仍可看到傳送時間、收件代碼與大約的資料量。若收件人尚無裝置金鑰又未設定口令，內容會以未加密方式傳送。每則內容會在傳送時選擇的保存時間到期後自動刪除，寄件人/收件人也可隨時點選立即刪除。",
+
+  "conn.idle": "尚未連線",
+  "conn.connecting": "連線中…",
+  "conn.verifying": "驗證中…",
+  "conn.error": "連線錯誤",
+  "conn.closed": "已斷線",
+  "conn.authed": "已連線（已驗證擁有者）",
+  "conn.claimed": "此代碼已被其他裝置認領（可點鑰匙輸入擁有者金鑰）",
+  "conn.claimedWithKey": "驗證失敗：此代碼已被其他裝置認領",
+  "conn.badSecret": "驗證失敗：擁有者金鑰不符",
+
+  "tab.send": "傳送",
+  "tab.recv": "接收",
+
+  "send.receiver": "收件人代碼（必填）",
+  "send.receiverPlaceholder": "例如 123456 或 team-design",
+  "send.scanQr": "掃描 QR 碼",
+  "send.saveContact": "加入/更新聯絡人",
+  "send.target": "送到哪台裝置",
+  "send.passphrase": "取件口令（選填，留空則以收件裝置的公鑰加密）",
+  "send.passphrasePlaceholder": "收件人尚未在線上註冊金鑰時才需要",
+  "send.kdf": "口令強化方式",
+  "send.kdfArgon2id": "Argon2id（建議，19 MiB / 2 輪）",
+  "send.kdfPbkdf2": "PBKDF2-SHA-256（600,000 次）",
+  "send.message": "文字留言板（選填）",
+  "send.messagePlaceholder": "長文字/多行內容…（可加密）",
+  "send.formatPlain": "純文字",
+  "send.formatHtml": "HTML（保留格式）",
+  "send.codeLang": "語言，例如 python",
+  "send.files": "附加檔案（選填，可多選圖片或任意檔案）",
+  "send.ttl": "保存時間",
+  "send.ttl60": "1 分鐘",
+  "send.ttl300": "5 分鐘",
+  "send.ttl900": "15 分鐘",
+  "send.ttl3600": "1 小時",
+  "send.ttl86400": "1 天",
+  "send.ttl604800": "7 天",
+  "send.maxDownloads": "下載次數上限",
+  "send.unlimited": "不限",
+  "send.burn": "閱後即焚（第一次完整下載後立即刪除）",
+  "send.submit": "送出",
+  "send.clear": "清空",
+  "send.working": "處理中…",
+  "send.resuming": "繼續上一次未完成的上傳…",
+  "send.uploading": "上傳中… {percent}%",
+  "send.sentPlain": "已送出（未加密）",
+  "send.sentDeviceKeys": "已送出（以 {count} 台收件裝置的公鑰加密）",
+  "send.sentPassphrase": "已送出（口令加密）",
+  "send.expiresAt": "，{time} 到期",
+  "send.onlyTo": "，僅送到「{device}」",
+  "send.retryHint": "（再按一次送出可從中斷處繼續）",
+  "send.error": "錯誤：{error}",
+  "send.filesAdded": "已加入 {added} 個檔案（共 {total} 個）",
+  "send.keptHtml": "已貼上純文字；改選「HTML」可保留格式",
+  "send.shareLost": "分享的檔案未能帶入，請再分享一次",
+  "send.shareTaken": "已帶入分享的內容，",
+  "send.pickContact": "選擇聯絡人後送出",
+  "send.enterReceiver": "輸入收件人代碼後送出",
+  "send.summaryText": "文字",
+  "send.listSeparator": "、",
+  "send.receiverKeys": "收件裝置金鑰指紋：{keys}",
+  "send.notPinned": " ⚠未釘選",
+  "send.noReceiverKeys": "收件人尚無公開金鑰（不填口令將以未加密方式送出）",
+  "send.pairingFilled": "已填入收件人 {to}",
+  "send.pairingFilledKey": "已填入收件人 {to} 與一次性口令",
+
+  "outbox.title": "最近送出",
+  "outbox.toDevice": "（指定裝置）",
+  "outbox.sentAt": "{time} 送出，剩 ",
+  "outbox.revoke": "撤回",
+  "outbox.sent": "已送出",
+  "outbox.undelivered": "尚未送達（收件裝置上線後會顯示）",
+  "outbox.delivered": "已送達 {delivered} 台裝置，已開啟 {opened} 台",
+  "outbox.deleted": "送到 {receiver} 的 clip {reason}",
+  "outbox.deletedManual": "已被刪除",
+  "outbox.deletedBurned": "已閱後即焚",
+  "outbox.deletedMaxDownloads": "已達下載次數上限",
+  "outbox.deletedEvicted": "已被較新的內容擠出信箱",
+  "outbox.deletedExpired": "已到期",
+
+  "recv.waiting": "等待中…（保持此頁可即時接收）",
+  "recv.passphrasePrompt": "有加密的信件：輸入解密口令",
+  "recv.passphrasePlaceholder": "輸入口令，於本地處理",
+  "recv.decrypt": "解密",
+  "recv.heading": "收到的 clip（{time} 到期{extra}）",
+  "recv.burn": "，閱後即焚",
+  "recv.maxDownloads": "，可下載 {count} 次",
+  "recv.onlyHere": "，僅送到本裝置",
+  "recv.delete": "刪除",
+  "recv.addContact": "將寄件人加入聯絡人",
+  "recv.encryptedPart": "加密項目 #{index}",
+  "recv.image": "圖片",
+  "recv.file": "檔案",
+  "recv.needPassphrase": "輸入口令並按解密以顯示內容",
+  "recv.load": "載入",
+  "recv.loading": "載入中…",
+  "recv.loaded": "已載入{label}（已嘗試複製到剪貼簿）",
+  "recv.loadedAsText": "{error}，改以純文字顯示（已嘗試複製到剪貼簿）",
+  "recv.imageCopied": "已載入圖片（已嘗試複製到剪貼簿）",
+  "recv.imageNoCopy": "已載入圖片（此瀏覽器可能不支援直接複製圖片，可用下載）",
+  "recv.loadFailed": "載入失敗：{error}",
+  "recv.download": "下載",
+  "recv.downloading": "下載中…",
+  "recv.downloaded": "已下載",
+  "recv.downloadCanceled": "已取消下載",
+  "recv.downloadFailed": "下載失敗：{error}",
+  "recv.deleting": "刪除中…",
+  "recv.deleted": "已刪除",
+  "recv.deleteFailed": "刪除失敗：{error}",
+  "recv.decrypting": "解密中…",
+  "recv.decryptFailed": "有 {count} 則內容無法用此口令解密",
+  "recv.passphraseSet": "已設定口令（點載入/下載會解密）",
+  "recv.sentBurned": "此 clip 已閱後即焚，伺服器上的內容已刪除",
+  "recv.sentMaxDownloads": "此 clip 已達下載次數上限，伺服器上的內容已刪除",
+
+  "format.text": "文字",
+  "format.code": "程式碼",
+  "format.lang": "{format}（{lang}）",
+
+  "devices.title": "此信箱的裝置",
+  "devices.all": "所有裝置",
+  "devices.rename": "命名此裝置",
+  "devices.renamePrompt": "為此裝置命名（例如：我的筆電）",
+  "devices.device": "裝置 {id}",
+  "devices.thisDevice": "{name}（本裝置）",
+  "devices.offline": "{name}（離線）",
+  "devices.online": "線上",
+  "devices.lastSeen": "最後上線 {time}",
+  "devices.afterConnect": "連線後顯示",
+  "devices.ownKey": "本裝置金鑰指紋：{kid}",
+  "devices.noX25519": "此瀏覽器不支援 X25519，只能使用口令加密",
+
+  "push.enable": "開啟通知",
+  "push.disable": "關閉通知",
+  "push.enabled": "已開啟新內容通知",
+  "push.disabled": "已關閉新內容通知",
+  "push.failed": "通知設定失敗",
+  "push.failedWith": "通知設定失敗：{error}",
+  "push.denied": "瀏覽器未允許通知",
+  "push.newClip": "收到新內容",
+  "push.newClipFrom": "收到來自 {from} 的新內容",
+
+  "owner.missing": "此裝置沒有信箱擁有者金鑰",
+  "owner.copied": "已複製此信箱的擁有者金鑰。\n在其他裝置設定相同代碼後，點鑰匙並貼上即可接收。請勿外流。",
+  "owner.prompt": "輸入此信箱的擁有者金鑰",
+
+  "contacts.setMaster": "設定主密碼（用來加密儲存的取件口令，不會上傳）",
+  "contacts.repeatMaster": "再輸入一次主密碼",
+  "contacts.masterMismatch": "兩次輸入的主密碼不同",
+  "contacts.enterMaster": "輸入主密碼",
+  "contacts.resetMaster": "主密碼錯誤。要重設主密碼並清除所有已儲存的口令嗎？",
+  "contacts.wrongMaster": "主密碼錯誤",
+  "contacts.nickname": "聯絡人名稱",
+  "contacts.pinKeys": "要釘選收件人目前的 {count} 把裝置金鑰嗎？之後金鑰改變時會先警告。",
+  "contacts.savePassphrase": "要以主密碼加密儲存目前的取件口令嗎？",
+  "contacts.confirmDelete": "刪除聯絡人「{name}」？",
+  "contacts.unpinned": "收件人有 {count} 把未釘選的裝置金鑰（{keys}），仍要以這些金鑰加密傳送嗎？",
+  "contacts.keyMismatch": "已取消：收件人的金鑰與釘選的不符",
+  "contacts.pinned": "已釘選金鑰",
+  "contacts.hasPassphrase": "已儲存口令",
+  "contacts.delete": "刪除聯絡人",
+
+  "qr.close": "關閉",
+  "qr.withKey": "附上一次性加密口令（掃描的裝置送來的內容會以它加密，本頁自動用它解密）",
+  "qr.showTitle": "掃描此碼即可傳送到本信箱",
+  "qr.scanTitle": "掃描配對 QR 碼",
+  "qr.starting": "開啟相機中…",
+  "qr.aim": "將 QR 碼對準鏡頭",
+  "qr.notPairing": "這不是配對用的 QR 碼",
+  "qr.failed": "無法掃描：{error}",
+  "qr.cameraDenied": "未允許使用相機",
+
+  "lib.failed": "無法載入外部元件 {name}",
+
+  "error.rate-limited": "請求太頻繁，請於 {retryAfter} 秒後再試",
+  "error.empty": "至少要填留言板或附加一個檔案",
+  "error.too-many": "一次最多附加 {max} 個檔案",
+  "error.needs-passphrase": "需要口令才能解密",
+  "error.no-device-key": "此瀏覽器不支援 X25519 金鑰",
+  "error.not-recipient": "此內容未加密給本裝置",
+  "error.bad-key": "口令錯誤或內容已損毀",
+  "error.bad-kdf": "金鑰衍生參數不合法",
+  "error.bad-ttl": "此伺服器最多保存 {max} 秒",
+  "error.bad-ciphertext": "密文不完整或長度不符",
+  "error.bad-format": "不支援的文字格式",
+  "error.bad-lang": "程式語言名稱只能包含英數字與 + # . _ -",
+
+  "error.bad-user-id": "信箱代碼無效",
+  "error.bad-device-id": "裝置 ID 無效",
+  "error.expected-websocket": "需要 WebSocket 升級請求",
+  "error.no-ticket-secret": "伺服器未設定 TICKET_SECRET",
+  "error.bad-json": "JSON 格式錯誤",
+  "error.bad-receiver-id": "收件人代碼無效",
+  "error.bad-clip-id": "clip ID 無效",
+  "error.missing-parts": "缺少內容項目",
+  "error.too-many-parts": "每個 clip 最多 {max} 個項目",
+  "error.bad-part-name": "項目名稱無效",
+  "error.bad-part-size": "項目大小無效",
+  "error.too-large": "上傳上限為 {max} 位元組",
+  "error.missing-clip": "缺少 clip 內容",
+  "error.key-prefix": "不允許此儲存路徑",
+  "error.bad-object-key": "儲存路徑無效",
+  "error.bad-ticket": "缺少或無效的存取憑證",
+  "error.ticket-no-multipart": "此憑證不允許分段上傳",
+  "error.ticket-no-upload": "此憑證不允許上傳",
+  "error.ticket-no-download": "此憑證不允許下載",
+  "error.length-required": "需要 content-length 標頭",
+  "error.over-ticket": "上傳大小超過憑證允許的範圍",
+  "error.not-found": "找不到內容",
+  "error.method-not-allowed": "不支援此請求方法",
+  "error.missing-upload-id": "缺少 uploadId",
+  "error.bad-part-number": "分段編號無效",
+  "error.part-too-large": "每段上限為 {max} 位元組",
+  "error.multipart-failed": "分段上傳失敗：{reason}",
+  "error.missing-keys": "缺少金鑰",
+  "error.owner-proof": "需要擁有者驗證",
+  "error.bad-target": "指定的收件裝置無效",
+  "error.bad-manifest": "加密清單無效",
+  "error.svg-image": "不允許 SVG 圖片",
+  "error.no-parts": "clip 沒有任何內容",
+  "error.unissued-part": "項目路徑不是由上傳憑證核發的",
+  "error.part-not-uploaded": "項目尚未上傳",
+  "error.clip-exists": "clip 已存在",
+  "error.missing-clip-id": "缺少 clipId",
+  "error.delete-forbidden": "無權刪除此 clip",
+  "error.bad-outgoing": "送出紀錄無效",
+  "error.bad-receipt": "回條無效",
+};
+
+export const MESSAGES = { en, "zh-TW": zhTW };
+
+function matchLocale(tag) {
+  const lower = String(tag).trim().toLowerCase();
+  if (!lower) return null;
+  const exact = LOCALES.find((l) => l.toLowerCase() === lower);
+  if (exact) return exact;
+  // Any Chinese variant reads the Traditional catalog before falling back to English.
+  const base = lower.split("-")[0];
+  if (base === "zh") return "zh-TW";
+  return LOCALES.find((l) => l.toLowerCase().split("-")[0] === base) || null;
+}
+
+/**
+ * Picks the best supported locale from `navigator.languages`-style tags or an
+ * Accept-Language header value, falling back to English.
+ * @param {string|readonly string[]|null|undefined} preferred
+ * @returns {string}
+ */
+export function pickLocale(preferred) {
+  let tags = [];
+  if (Array.isArray(preferred)) tags = preferred;
+  else if (typeof preferred === "string") {
+    tags = preferred
+      .split(",")
+      .map((item, i) => {
+        const [tag, ...attrs] = item.split(";");
+        const q = attrs.map((a) => /^\s*q=([0-9.]+)\s*$/.exec(a)).find(Boolean);
+        return { tag, q: q ? Number(q[1]) : 1, i };
+      })
+      .filter((t) => t.q > 0)
+      .sort((a, b) => b.q - a.q || a.i - b.i)
+      .map((t) => t.tag);
+  }
+  for (const tag of tags) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Looks `key` up for `locale` (then English) and fills in {name} placeholders.
+ * Unknown keys come back as the key itself.
+ * @param {string} locale
+ * @param {string} key
+ * @param {Record<string, unknown>} [params]
+ * @returns {string}
+ */
+export function translate(locale, key, params = {}) {
+  const text = MESSAGES[locale]?.[key] ?? en[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (params[name] == null ? m : String(params[name])));
+}
+
+/**
+ * Whether the catalog has an entry for `key`.
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+  return Object.hasOwn(en, key);
+}
@@ -0,0 +1,101 @@
+// Mailbox codes, shared by the SDK, the web page and the Worker. A code is
+// the original 6 digits, a random 10-character Crockford base32 code, a word
+// code such as "blue-otter-42", or a vanity name such as "team-design". Codes
+// are lowercase; each names its own Durable Object, and the first device to
+// connect claims it whatever its format.
+
+export const MAILBOX_ID_FORMATS = ["digits", "base32", "words"];
+export const MAILBOX_ID_MAX_CHARS = 32;
+
+const BASE32_ALPHABET = "0123456789abcdefghjkmnpqrstvwxyz";
+const DIGITS_RE = /^[0-9]{6}$/;
+const BASE32_RE = /^[0-9a-hjkmnp-tv-z]{10}$/;
+const WORDS_RE = /^[a-z]+-[a-z]+-[0-9]{2,4}$/;
+// Names start with a letter, so they never collide with digit codes; very
+// short ones are too few and too easily guessed to hand out.
+const NAME_RE = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/;
+const NAME_MIN_CHARS = 4;
+
+// 64 of each: with the 9990 numbers that is about 41 million word codes
+// (roughly 2^25), so they are easy to read out rather than hard to guess;
+// base32 codes carry 50 bits.
+const ADJECTIVES = [
+  "amber", "blue", "bold", "brave", "brisk", "calm", "clever", "cool",
+  "coral", "crisp", "dapper", "eager", "early", "fancy", "fast", "fond",
+  "fresh", "gentle", "glad", "golden", "grand", "green", "happy", "hazel",
+  "honest", "jolly", "keen", "kind", "lively", "lucky", "lunar", "mellow",
+  "merry", "mighty", "misty", "modest", "noble", "olive", "plucky", "polite",
+  "proud", "quick", "quiet", "rapid", "red", "rosy", "royal", "rustic",
+  "sandy", "shiny", "silent", "silver", "sleek", "smart", "snowy", "solar",
+  "steady", "sunny", "swift", "tidy", "vivid", "warm", "wise", "witty",
+];
+const ANIMALS = [
+  "badger", "bear", "beaver", "bison", "camel", "cat", "cobra", "crane",
+  "crow", "deer", "dingo", "dog", "dove", "duck", "eagle", "eel",
+  "falcon", "ferret", "finch", "fox", "frog", "gecko", "goat", "goose",
+  "hare", "hawk", "heron", "horse", "ibis", "koala", "lemur", "lion",
+  "llama", "lynx", "magpie", "mink", "mole", "moose", "mouse", "newt",
+  "otter", "owl", "panda", "parrot", "puffin", "quail", "rabbit", "raven",
+  "robin", "seal", "shark", "sheep", "skunk", "sloth", "snail", "swan",
+  "tiger", "toad", "trout", "turtle", "viper", "walrus", "wolf", "yak",
+];
+
+/**
+ * Trims and lowercases what a person typed; the result may still be invalid.
+ * @param {unknown} x
+ * @returns {string}
+ */
+export function normalizeMailboxId(x) {
+  return typeof x === "string" ? x.trim().toLowerCase() : "";
+}
+
+/**
+ * The format of a canonical (lowercase) mailbox code, or null when it is not
+ * one: "digits", "base32", "words", or "name" for any other vanity name.
+ * @param {unknown} x
+ * @returns {"digits"|"base32"|"words"|"name"|null}
+ */
+export function mailboxIdFormat(x) {
+  if (typeof x !== "string" || x.length > MAILBOX_ID_MAX_CHARS) return null;
+  if (DIGITS_RE.test(x)) return "digits";
+  if (BASE32_RE.test(x)) return "base32";
+  if (WORDS_RE.test(x)) return "words";
+  if (x.length >= NAME_MIN_CHARS && NAME_RE.test(x)) return "name";
+  return null;
+}
+
+/**
+ * @param {unknown} x
+ * @returns {boolean}
+ */
+export function isMailboxId(x) {
+  return mailboxIdFormat(x) !== null;
+}
+
+// A uniform integer in [0, n). Draws at or above the largest multiple of n
+// below 2^32 are redrawn, since keeping them would favour the low results.
+function randomBelow(n) {
+  const limit = 2 ** 32 - (2 ** 32 % n);
+  for (;;) {
+    const [x] = crypto.getRandomValues(new Uint32Array(1));
+    if (x < limit) return x % n;
+  }
+}
+
+/**
+ * A random code in one of MAILBOX_ID_FORMATS.
+ * @param {"digits"|"base32"|"words"} [format]
+ * @returns {string}
+ */
+export function newMailboxId(format = "digits") {
+  if (format === "base32") {
+    // 32 divides 256, so masking each byte keeps the characters uniform.
+    return Array.from(crypto.getRandomValues(new Uint8Array(10)), (x) => BASE32_ALPHABET[x & 31]).join("");
+  }
+  if (format === "words") {
+    const [a, b] = crypto.getRandomValues(new Uint32Array(2));
+    return `${ADJECTIVES[a & 63]}-${ANIMALS[b & 63]}-${10 + randomBelow(9990)}`;
+  }
+  if (format === "digits") return String(randomBelow(1000000)).padStart(6, "0");
+  throw new Error(`Unknown mailbox code format: ${format}`);
+}
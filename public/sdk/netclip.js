@@ -0,0 +1,1119 @@
+// NetClipboard client SDK: the wire protocol and clip.enc crypto used by the
+// web page (served from /sdk/netclip.js) and the netclip CLI. It only relies
+// on fetch, WebSocket, Blob and WebCrypto, so it runs in browsers and Node 22+.
+
+export {
+  MAILBOX_ID_FORMATS,
+  isMailboxId,
+  mailboxIdFormat,
+  newMailboxId,
+  normalizeMailboxId,
+} from "./mailbox-id.js";
+
+/**
+ * @typedef {object} PartEnc
+ * @property {string} [nonceB64] v2 stream nonce prefix (7 bytes).
+ * @property {string} [ivB64] v1 single-shot IV.
+ * @property {string[]} [ivs] v1 per-chunk IVs.
+ * @property {number} [partBytes] v1 chunk size.
+ */
+
+/**
+ * @typedef {object} Part
+ * @property {"message"|"image"|"file"} [kind] Missing while sealed in the manifest.
+ * @property {string} [mime]
+ * @property {string} [filename]
+ * @property {"markdown"|"html"|"code"} [format] Message subtype; unset for plain text.
+ * @property {string} [lang] Language hint for a "code" message.
+ * @property {number} size Stored (ciphertext) length in bytes.
+ * @property {number} [plainSize] Original length, from the manifest.
+ * @property {string} r2Key
+ * @property {string} ticket Signed download ticket.
+ * @property {PartEnc|null} [enc]
+ */
+
+/**
+ * @typedef {object} ClipEnc
+ * @property {number} [v] 2 for chunked stream records.
+ * @property {"ARGON2ID-AESGCM"|"PBKDF2-AESGCM"|"X25519-HKDF-AESGCM"} alg
+ * @property {string} [saltB64] Passphrase KDFs.
+ * @property {number} [m] Argon2id memory in KiB.
+ * @property {number} [t] Argon2id passes.
+ * @property {number} [p] Argon2id lanes.
+ * @property {number} [iter] PBKDF2 iterations.
+ * @property {string} [hash] PBKDF2 hash.
+ * @property {string} [ephPublicKeyB64] X25519 ephemeral public key.
+ * @property {{ kid: string, ivB64: string, wrappedB64: string }[]} [recipients] X25519 wrapped keys.
+ * @property {number} [chunkBytes] Plaintext bytes per stream record.
+ */
+
+/**
+ * @typedef {object} Clip
+ * @property {string} id
+ * @property {number} ts
+ * @property {string} [fromUser]
+ * @property {string} [fromDevice]
+ * @property {ClipEnc|null} enc
+ * @property {{ ivB64: string, dataB64: string }|null} [manifest] Encrypted part metadata.
+ * @property {boolean} [burn]
+ * @property {number} [maxDownloads]
+ * @property {string} [to] Device the clip is addressed to; unset for every device.
+ * @property {boolean} [receipts] Deliveries and reads are reported to fromUser.
+ * @property {Part[]} parts
+ */
+
+/**
+ * @typedef {object} Source
+ * @property {Blob} blob
+ * @property {"message"|"image"|"file"} kind
+ * @property {string} mime
+ * @property {string} [filename]
+ * @property {"markdown"|"html"|"code"} [format]
+ * @property {string} [lang]
+ */
+
+/**
+ * @typedef {object} DeviceKeys
+ * @property {CryptoKey} privateKey X25519 private key.
+ * @property {Uint8Array} publicKey
+ * @property {string} publicKeyB64
+ * @property {string} kid Key fingerprint, see keyFingerprint().
+ */
+
+/**
+ * @typedef {object} Device
+ * @property {string} deviceId
+ * @property {string|null} name Friendly name set with setName().
+ * @property {boolean} online
+ * @property {number} lastSeen
+ */
+
+/**
+ * @typedef {object} SendResult
+ * @property {string} clipId
+ * @property {string} revokeToken Lets the sender delete the clip later.
+ * @property {number} expiresAt
+ * @property {string|null} enc clip.enc.alg, or null when sent in the clear.
+ * @property {number} recipients Number of device keys the clip was sealed to.
+ */
+
+/**
+ * Errors raised by the SDK carry a stable `code` so callers can show their
+ * own wording: "rate-limited" (with retryAfter seconds), "api" (server
+ * error, with status and the server's own serverCode and params), "empty", "too-many", "needs-passphrase",
+ * "no-device-key", "not-recipient", "bad-key", "bad-kdf", "bad-ciphertext",
+ * "bad-format", "bad-lang", "bad-ttl" (with params.max seconds), "download".
+ */
+export class NetclipError extends Error {
+  constructor(code, message, extra = {}) {
+    super(message);
+    this.name = "NetclipError";
+    this.code = code;
+    Object.assign(this, extra);
+  }
+}
+
+export const STREAM_CHUNK_BYTES = 64 * 1024;
+export const MULTIPART_PART_BYTES = 8 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 7;
+export const X25519_ALG = "X25519-HKDF-AESGCM";
+
+// Message subtypes and the MIME type each is sent as.
+export const MESSAGE_FORMATS = {
+  plain: "text/plain",
+  markdown: "text/markdown",
+  html: "text/html",
+  code: "text/plain",
+};
+const CODE_LANG_RE = /^[a-z0-9][a-z0-9+#._-]{0,31}$/i;
+
+export const KDF_PRESETS = {
+  argon2id: { alg: "ARGON2ID-AESGCM", m: 19456, t: 2, p: 1 },
+  pbkdf2: { alg: "PBKDF2-AESGCM", iter: 600000, hash: "SHA-256" },
+};
+
+export function b64(u8) {
+  let s = "";
+  for (const b of u8) s += String.fromCharCode(b);
+  return btoa(s);
+}
+
+export function unb64(s) {
+  const bin = atob(s);
+  const u8 = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i);
+  return u8;
+}
+
+export function concatBytes(list) {
+  const out = new Uint8Array(list.reduce((sum, u8) => sum + u8.byteLength, 0));
+  let offset = 0;
+  for (const u8 of list) {
+    out.set(u8, offset);
+    offset += u8.byteLength;
+  }
+  return out;
+}
+
+// Argon2id (RFC 9106) in plain JS; the web page and the CLI both use this one.
+
+const BLAKE2B_IV = new Uint32Array([
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+  0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+const BLAKE2B_SIGMA = [
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+  11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+  7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+  9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+  2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+  12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+  13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+  6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+  10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0
+];
+
+// 64-bit words are stored as (lo, hi) pairs of a Uint32Array.
+function add64(v, a, b) {
+  const lo = v[a] + v[b];
+  v[a + 1] = v[a + 1] + v[b + 1] + (lo >= 0x100000000 ? 1 : 0);
+  v[a] = lo;
+}
+
+function add64m(v, a, m, i) {
+  const lo = v[a] + m[i];
+  v[a + 1] = v[a + 1] + m[i + 1] + (lo >= 0x100000000 ? 1 : 0);
+  v[a] = lo;
+}
+
+function xorRotr64(v, a, b, n) {
+  const xl = v[a] ^ v[b];
+  const xh = v[a + 1] ^ v[b + 1];
+  if (n === 32) {
+    v[a] = xh;
+    v[a + 1] = xl;
+  } else if (n === 63) {
+    v[a] = (xl << 1) | (xh >>> 31);
+    v[a + 1] = (xh << 1) | (xl >>> 31);
+  } else {
+    v[a] = (xl >>> n) | (xh << (32 - n));
+    v[a + 1] = (xh >>> n) | (xl << (32 - n));
+  }
+}
+
+function blake2bCompress(h, block, t, last) {
+  const v = new Uint32Array(32);
+  const m = new Uint32Array(32);
+  v.set(h, 0);
+  v.set(BLAKE2B_IV, 16);
+  v[24] ^= t >>> 0;
+  v[25] ^= Math.floor(t / 0x100000000);
+  if (last) {
+    v[28] = ~v[28];
+    v[29] = ~v[29];
+  }
+  for (let i = 0; i < 32; i++) {
+    m[i] = block[i * 4] | (block[i * 4 + 1] << 8) | (block[i * 4 + 2] << 16) | (block[i * 4 + 3] << 24);
+  }
+
+  const mix = (a, b, c, d, x, y) => {
+    add64(v, a, b); add64m(v, a, m, x); xorRotr64(v, d, a, 32);
+    add64(v, c, d); xorRotr64(v, b, c, 24);
+    add64(v, a, b); add64m(v, a, m, y); xorRotr64(v, d, a, 16);
+    add64(v, c, d); xorRotr64(v, b, c, 63);
+  };
+
+  for (let r = 0; r < 12; r++) {
+    const s = BLAKE2B_SIGMA.slice((r % 10) * 16, (r % 10) * 16 + 16).map((x) => x * 2);
+    mix(0, 8, 16, 24, s[0], s[1]);
+    mix(2, 10, 18, 26, s[2], s[3]);
+    mix(4, 12, 20, 28, s[4], s[5]);
+    mix(6, 14, 22, 30, s[6], s[7]);
+    mix(0, 10, 20, 30, s[8], s[9]);
+    mix(2, 12, 22, 24, s[10], s[11]);
+    mix(4, 14, 16, 26, s[12], s[13]);
+    mix(6, 8, 18, 28, s[14], s[15]);
+  }
+
+  for (let i = 0; i < 16; i++) h[i] ^= v[i] ^ v[i + 16];
+}
+
+function blake2b(outLen, input) {
+  const h = new Uint32Array(BLAKE2B_IV);
+  h[0] ^= 0x01010000 ^ outLen;
+
+  const block = new Uint8Array(128);
+  let offset = 0;
+  while (input.length - offset > 128) {
+    blake2bCompress(h, input.subarray(offset, offset + 128), offset + 128, false);
+    offset += 128;
+  }
+  block.set(input.subarray(offset));
+  blake2bCompress(h, block, input.length, true);
+
+  const out = new Uint8Array(outLen);
+  for (let i = 0; i < outLen; i++) out[i] = h[i >> 2] >>> (8 * (i & 3));
+  return out;
+}
+
+function le32(n) {
+  return new Uint8Array([n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff]);
+}
+
+function blake2bLong(outLen, input) {
+  const prefixed = concatBytes([le32(outLen), input]);
+  if (outLen <= 64) return blake2b(outLen, prefixed);
+
+  const out = new Uint8Array(outLen);
+  let v = blake2b(64, prefixed);
+  out.set(v.subarray(0, 32), 0);
+  let offset = 32;
+  while (outLen - offset > 64) {
+    v = blake2b(64, v);
+    out.set(v.subarray(0, 32), offset);
+    offset += 32;
+  }
+  out.set(blake2b(outLen - offset, v), offset);
+  return out;
+}
+
+function mulHi32(a, b) {
+  const al = a & 0xffff, ah = a >>> 16, bl = b & 0xffff, bh = b >>> 16;
+  const lh = al * bh, hl = ah * bl;
+  const mid = ((al * bl) >>> 16) + (lh & 0xffff) + (hl & 0xffff);
+  return ah * bh + (lh >>> 16) + (hl >>> 16) + Math.floor(mid / 0x10000);
+}
+
+// BlaMka: a = a + b + 2 * lo(a) * lo(b), all mod 2^64.
+function fBlaMka(v, a, b) {
+  const al = v[a], bl = v[b];
+  const pl = Math.imul(al, bl) >>> 0;
+  const ph = mulHi32(al, bl);
+  const ql = (pl << 1) >>> 0;
+  const qh = (ph << 1) | (pl >>> 31);
+
+  const lo = al + bl;
+  const lo2 = (lo >>> 0) + ql;
+  v[a + 1] = v[a + 1] + v[b + 1] + qh + (lo >= 0x100000000 ? 1 : 0) + (lo2 >= 0x100000000 ? 1 : 0);
+  v[a] = lo2;
+}
+
+function argon2Round(v, a, b, c, d) {
+  fBlaMka(v, a, b); xorRotr64(v, d, a, 32);
+  fBlaMka(v, c, d); xorRotr64(v, b, c, 24);
+  fBlaMka(v, a, b); xorRotr64(v, d, a, 16);
+  fBlaMka(v, c, d); xorRotr64(v, b, c, 63);
+}
+
+function argon2P(v, w) {
+  argon2Round(v, w[0], w[4], w[8], w[12]);
+  argon2Round(v, w[1], w[5], w[9], w[13]);
+  argon2Round(v, w[2], w[6], w[10], w[14]);
+  argon2Round(v, w[3], w[7], w[11], w[15]);
+  argon2Round(v, w[0], w[5], w[10], w[15]);
+  argon2Round(v, w[1], w[6], w[11], w[12]);
+  argon2Round(v, w[2], w[7], w[8], w[13]);
+  argon2Round(v, w[3], w[4], w[9], w[14]);
+}
+
+const ARGON2_ROWS = [];
+const ARGON2_COLS = [];
+for (let i = 0; i < 8; i++) {
+  const row = [];
+  const col = [];
+  for (let j = 0; j < 16; j++) {
+    row.push((16 * i + j) * 2);
+    col.push((16 * (j >> 1) + 2 * i + (j & 1)) * 2);
+  }
+  ARGON2_ROWS.push(row);
+  ARGON2_COLS.push(col);
+}
+
+// out = G(x, y), or out ^= G(x, y) when xorInto is set; blocks are 256 u32 views.
+function argon2G(r, x, y, out, xorInto) {
+  for (let i = 0; i < 256; i++) r[i] = x[i] ^ y[i];
+  const z = r.slice();
+  for (const w of ARGON2_ROWS) argon2P(z, w);
+  for (const w of ARGON2_COLS) argon2P(z, w);
+  if (xorInto) {
+    for (let i = 0; i < 256; i++) out[i] ^= z[i] ^ r[i];
+  } else {
+    for (let i = 0; i < 256; i++) out[i] = z[i] ^ r[i];
+  }
+}
+
+export function argon2id(password, salt, opts) {
+  const { t, m, p, dkLen, secret = new Uint8Array(0), ad = new Uint8Array(0) } = opts;
+
+  const h0 = blake2b(64, concatBytes([
+    le32(p), le32(dkLen), le32(m), le32(t), le32(0x13), le32(2),
+    le32(password.length), password,
+    le32(salt.length), salt,
+    le32(secret.length), secret,
+    le32(ad.length), ad
+  ]));
+
+  const blocks = 4 * p * Math.floor(m / (4 * p));
+  const laneLen = blocks / p;
+  const segLen = laneLen / 4;
+  const mem = new Uint32Array(blocks * 256);
+  const block = (i) => mem.subarray(i * 256, i * 256 + 256);
+  const bytesToBlock = (u8, dst) => {
+    for (let i = 0; i < 256; i++) {
+      dst[i] = u8[i * 4] | (u8[i * 4 + 1] << 8) | (u8[i * 4 + 2] << 16) | (u8[i * 4 + 3] << 24);
+    }
+  };
+
+  for (let l = 0; l < p; l++) {
+    bytesToBlock(blake2bLong(1024, concatBytes([h0, le32(0), le32(l)])), block(l * laneLen));
+    bytesToBlock(blake2bLong(1024, concatBytes([h0, le32(1), le32(l)])), block(l * laneLen + 1));
+  }
+
+  const tmp = new Uint32Array(256);
+  const zero = new Uint32Array(256);
+  const input = new Uint32Array(256);
+  const addr = new Uint32Array(256);
+
+  for (let pass = 0; pass < t; pass++) {
+    for (let slice = 0; slice < 4; slice++) {
+      for (let l = 0; l < p; l++) {
+        const independent = pass === 0 && slice < 2;
+        if (independent) {
+          input.fill(0);
+          input[0] = pass; input[2] = l; input[4] = slice; input[6] = blocks;
+          input[8] = t; input[10] = 2;
+        }
+
+        const startIndex = pass === 0 && slice === 0 ? 2 : 0;
+        if (independent && startIndex) {
+          input[12]++;
+          argon2G(tmp, zero, input, addr, false);
+          argon2G(tmp, zero, addr, addr, false);
+        }
+
+        for (let index = startIndex; index < segLen; index++) {
+          const col = slice * segLen + index;
+          const cur = l * laneLen + col;
+          const prev = col === 0 ? l * laneLen + laneLen - 1 : cur - 1;
+
+          let j1, j2;
+          if (independent) {
+            if (index % 128 === 0) {
+              input[12]++;
+              argon2G(tmp, zero, input, addr, false);
+              argon2G(tmp, zero, addr, addr, false);
+            }
+            j1 = addr[(index % 128) * 2];
+            j2 = addr[(index % 128) * 2 + 1];
+          } else {
+            j1 = mem[prev * 256];
+            j2 = mem[prev * 256 + 1];
+          }
+
+          const refLane = pass === 0 && slice === 0 ? l : j2 % p;
+          let area;
+          if (pass === 0) {
+            area = refLane === l ? slice * segLen + index - 1 : slice * segLen + (index === 0 ? -1 : 0);
+          } else {
+            area = refLane === l ? laneLen - segLen + index - 1 : laneLen - segLen + (index === 0 ? -1 : 0);
+          }
+          const x = mulHi32(j1, j1);
+          const y = mulHi32(area, x);
+          const rel = area - 1 - y;
+          const start = pass === 0 || slice === 3 ? 0 : (slice + 1) * segLen;
+          const ref = refLane * laneLen + ((start + rel) % laneLen);
+
+          argon2G(tmp, block(prev), block(ref), block(cur), pass > 0);
+        }
+      }
+    }
+  }
+
+  const last = new Uint32Array(block(laneLen - 1));
+  for (let l = 1; l < p; l++) {
+    const b = block(l * laneLen + laneLen - 1);
+    for (let i = 0; i < 256; i++) last[i] ^= b[i];
+  }
+  const lastBytes = new Uint8Array(1024);
+  for (let i = 0; i < 1024; i++) lastBytes[i] = last[i >> 2] >>> (8 * (i & 3));
+  return blake2bLong(dkLen, lastBytes);
+}
+
+export async function deriveKey(token, enc) {
+  const password = new TextEncoder().encode(token);
+  const salt = unb64(enc.saltB64);
+
+  if (enc.alg === "ARGON2ID-AESGCM") {
+    // The sender picks enc, so only the preset's costs are run: anything
+    // larger would let one clip stall the receiving tab and fill its memory.
+    const { m, t, p } = KDF_PRESETS.argon2id;
+    if (enc.m !== m || enc.t !== t || enc.p !== p) {
+      throw new NetclipError("bad-kdf", "Unsupported Argon2id parameters.");
+    }
+    const raw = argon2id(password, salt, { m, t, p, dkLen: 32 });
+    return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+  }
+
+  if (enc.alg === "PBKDF2-AESGCM") {
+    const iter = enc.iter;
+    if (!Number.isSafeInteger(iter) || iter < 1 || iter > 10000000) throw new NetclipError("bad-kdf", "Invalid PBKDF2 parameters.");
+    const baseKey = await crypto.subtle.importKey("raw", password, "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations: iter, hash: enc.hash || "SHA-256" },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  throw new NetclipError("bad-kdf", `Unsupported key derivation: ${enc.alg}`);
+}
+
+export async function decryptBytes(key, ivB64, cipherU8) {
+  const pt = await crypto.subtle.decrypt({ name: "AES-GCM", iv: unb64(ivB64) }, key, cipherU8);
+  return new Uint8Array(pt);
+}
+
+export async function keyFingerprint(publicKeyU8) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", publicKeyU8));
+  return [...digest.subarray(0, 8)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function formatFingerprint(fp) {
+  return (fp.match(/.{4}/g) || []).join(" ");
+}
+
+// Wraps an X25519 CryptoKeyPair into the shape used for unsealing clips.
+export async function deviceKeysFromPair(pair) {
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey));
+  return { privateKey: pair.privateKey, publicKey, publicKeyB64: b64(publicKey), kid: await keyFingerprint(publicKey) };
+}
+
+async function x25519WrapKey(privateKey, peerPublicKey, ephPublicKey, recipientPublicKey) {
+  const peer = await crypto.subtle.importKey("raw", peerPublicKey, { name: "X25519" }, false, []);
+  const shared = await crypto.subtle.deriveBits({ name: "X25519", public: peer }, privateKey, 256);
+  const ikm = await crypto.subtle.importKey("raw", shared, "HKDF", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(0),
+      info: concatBytes([new TextEncoder().encode(X25519_ALG), ephPublicKey, recipientPublicKey]),
+    },
+    ikm,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// A random content key is wrapped once per recipient device with a key
+// derived from an ephemeral X25519 exchange.
+export async function sealForRecipients(keys) {
+  const cek = crypto.getRandomValues(new Uint8Array(32));
+  const eph = await crypto.subtle.generateKey({ name: "X25519" }, false, ["deriveBits"]);
+  const ephPublicKey = new Uint8Array(await crypto.subtle.exportKey("raw", eph.publicKey));
+
+  const recipients = [];
+  for (const k of keys) {
+    const recipientPublicKey = unb64(k.publicKeyB64);
+    const wrapKey = await x25519WrapKey(eph.privateKey, recipientPublicKey, ephPublicKey, recipientPublicKey);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrapped = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, wrapKey, cek));
+    recipients.push({ kid: k.kid, ivB64: b64(iv), wrappedB64: b64(wrapped) });
+  }
+
+  return {
+    enc: { alg: X25519_ALG, ephPublicKeyB64: b64(ephPublicKey), recipients },
+    aesKey: await crypto.subtle.importKey("raw", cek, "AES-GCM", false, ["encrypt", "decrypt"]),
+  };
+}
+
+export async function unsealForDevice(enc, me) {
+  if (!me) throw new NetclipError("no-device-key", "No X25519 device key available.");
+  const r = Array.isArray(enc.recipients) ? enc.recipients.find((x) => x.kid === me.kid) : null;
+  if (!r) throw new NetclipError("not-recipient", "This clip was not encrypted for this device.");
+
+  const ephPublicKey = unb64(enc.ephPublicKeyB64);
+  const wrapKey = await x25519WrapKey(me.privateKey, ephPublicKey, ephPublicKey, me.publicKey);
+  const cek = await decryptBytes(wrapKey, r.ivB64, unb64(r.wrappedB64));
+  return crypto.subtle.importKey("raw", cek, "AES-GCM", false, ["encrypt", "decrypt"]);
+}
+
+// Resolves the AES key of a clip from either the device key or a passphrase.
+export async function clipKey(clip, { passphrase, deviceKeys } = {}) {
+  if (clip.enc.alg === X25519_ALG) return unsealForDevice(clip.enc, deviceKeys);
+  if (!passphrase) throw new NetclipError("needs-passphrase", "This clip needs a passphrase.");
+  return deriveKey(passphrase, clip.enc);
+}
+
+// Returns the parts with kind/mime/filename filled in from the encrypted
+// manifest. p.size stays the ciphertext length; plainSize is the original.
+export async function openManifest(clip, key) {
+  if (!clip.manifest) return clip.parts;
+
+  let meta;
+  try {
+    meta = JSON.parse(new TextDecoder().decode(await decryptBytes(key, clip.manifest.ivB64, unb64(clip.manifest.dataB64))));
+  } catch {
+    throw new NetclipError("bad-key", "Could not decrypt the clip (wrong passphrase or key).");
+  }
+  return clip.parts.map((p, i) => {
+    const m = (Array.isArray(meta) && meta[i]) || {};
+    const isImage = m.kind === "image" && !/svg/i.test(String(m.mime || ""));
+    const kind = isImage ? "image" : m.kind === "message" ? "message" : "file";
+    return {
+      ...p,
+      kind,
+      mime: typeof m.mime === "string" ? m.mime : "application/octet-stream",
+      filename: typeof m.filename === "string" ? m.filename : undefined,
+      plainSize: Number.isSafeInteger(m.size) ? m.size : undefined,
+      ...(kind === "message" ? messageMeta(m) : {}),
+    };
+  });
+}
+
+// E2EE v2: each part is split into STREAM_CHUNK_BYTES records. Record i is
+// sealed with nonce = prefix(7) || uint32be(i) || finalFlag(1).
+function streamNonce(prefixU8, index, final) {
+  const nonce = new Uint8Array(12);
+  nonce.set(prefixU8, 0);
+  new DataView(nonce.buffer).setUint32(7, index);
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+}
+
+function streamRecordCount(plainSize, chunkBytes) {
+  return Math.max(1, Math.ceil(plainSize / chunkBytes));
+}
+
+export function streamCipherSize(plainSize, chunkBytes) {
+  return plainSize + 16 * streamRecordCount(plainSize, chunkBytes);
+}
+
+export async function encryptRecords(key, prefixU8, blob, firstRecord, recordCount) {
+  const total = streamRecordCount(blob.size, STREAM_CHUNK_BYTES);
+  const end = Math.min(total, firstRecord + recordCount);
+  const out = [];
+  for (let i = firstRecord; i < end; i++) {
+    const start = i * STREAM_CHUNK_BYTES;
+    const plain = new Uint8Array(await blob.slice(start, start + STREAM_CHUNK_BYTES).arrayBuffer());
+    const iv = streamNonce(prefixU8, i, i === total - 1);
+    out.push(new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain)));
+  }
+  return concatBytes(out);
+}
+
+export async function* decryptRecords(key, nonceB64, chunkBytes, cipherSize, body) {
+  const prefix = unb64(nonceB64);
+  const recordBytes = chunkBytes + 16;
+  const total = Math.max(1, Math.ceil(cipherSize / recordBytes));
+  const reader = body.getReader();
+
+  let buf = new Uint8Array(0);
+  let index = 0;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (value) buf = concatBytes([buf, value]);
+
+    while (buf.byteLength >= recordBytes || (done && buf.byteLength > 0)) {
+      if (index >= total) throw new NetclipError("bad-ciphertext", "Ciphertext length mismatch.");
+      const take = Math.min(recordBytes, buf.byteLength);
+      const iv = streamNonce(prefix, index, index === total - 1);
+      const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, buf.subarray(0, take));
+      buf = buf.slice(take);
+      index++;
+      yield new Uint8Array(plain);
+    }
+    if (done) break;
+  }
+  if (index !== total) throw new NetclipError("bad-ciphertext", "Ciphertext is truncated.");
+}
+
+async function* readBody(body) {
+  const reader = body.getReader();
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    yield value;
+  }
+}
+
+async function decryptPart(key, enc, cipherU8) {
+  if (!Array.isArray(enc.ivs)) return decryptBytes(key, enc.ivB64, cipherU8);
+
+  const chunkBytes = enc.partBytes + 16;
+  const out = new Uint8Array(cipherU8.byteLength - 16 * enc.ivs.length);
+  let offset = 0;
+  for (let i = 0; i < enc.ivs.length; i++) {
+    const plain = await decryptBytes(key, enc.ivs[i], cipherU8.subarray(i * chunkBytes, (i + 1) * chunkBytes));
+    out.set(plain, offset);
+    offset += plain.byteLength;
+  }
+  return out;
+}
+
+export async function hmacB64(secretB64, message) {
+  const key = await crypto.subtle.importKey("raw", unb64(secretB64), { name: "HMAC", hash: "SHA-256" }, false, [
+    "sign",
+  ]);
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return b64(new Uint8Array(sig));
+}
+
+export async function sha256B64(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return b64(new Uint8Array(digest));
+}
+
+export async function ownerProof(secretB64, action, subject) {
+  const ts = Date.now();
+  const message = subject ? `${action}:${ts}:${subject}` : `${action}:${ts}`;
+  return { ts, proof: await hmacB64(secretB64, message) };
+}
+
+export async function readApi(res, fallback) {
+  const j = await res.json().catch(() => ({}));
+  if (res.status === 429) {
+    const retryAfter = Number(res.headers.get("retry-after")) || 1;
+    throw new NetclipError("rate-limited", `Rate limited, retry in ${retryAfter}s.`, { retryAfter });
+  }
+  if (!j.ok) {
+    throw new NetclipError("api", j.error || fallback, { status: res.status, serverCode: j.code, params: j.params });
+  }
+  return j;
+}
+
+export async function withRetry(fn, attempts = 4) {
+  for (let i = 1; ; i++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (i >= attempts) throw e;
+      await new Promise((r) => setTimeout(r, e.retryAfter ? e.retryAfter * 1000 : 1000 * 2 ** (i - 1)));
+    }
+  }
+}
+
+function apiUrl(server, path) {
+  return new URL(path, server).toString();
+}
+
+function r2Url(server, key, params) {
+  return apiUrl(server, `/api/r2/${encodeURIComponent(key)}?${new URLSearchParams(params)}`);
+}
+
+export async function fetchRecipientKeys(server, receiverId) {
+  const res = await fetch(apiUrl(server, `/api/mailbox/keys?receiverId=${encodeURIComponent(receiverId)}`));
+  const j = await readApi(res, "keys failed");
+  return Promise.all(j.keys.map(async (k) => ({ ...k, kid: await keyFingerprint(unb64(k.publicKeyB64)) })));
+}
+
+/**
+ * `format` tells the receiver how to render the text: as markdown, as HTML
+ * (sanitized on display) or as code in `lang`, e.g. "python".
+ * @param {string} text
+ * @param {{ format?: "plain"|"markdown"|"html"|"code", lang?: string }} [opts]
+ * @returns {Source}
+ */
+export function messageSource(text, { format = "plain", lang } = {}) {
+  if (!Object.hasOwn(MESSAGE_FORMATS, format)) throw new NetclipError("bad-format", `Unknown message format: ${format}`);
+  if (lang && (format !== "code" || !CODE_LANG_RE.test(lang))) {
+    throw new NetclipError("bad-lang", `Invalid language hint: ${lang}`);
+  }
+
+  const src = { blob: new Blob([new TextEncoder().encode(text)]), kind: "message", mime: `${MESSAGE_FORMATS[format]}; charset=utf-8` };
+  return { ...src, ...messageMeta({ format, lang }) };
+}
+
+// The format fields worth keeping from untrusted part metadata.
+function messageMeta(m) {
+  const out = {};
+  if (m.format !== "plain" && Object.hasOwn(MESSAGE_FORMATS, m.format)) out.format = m.format;
+  if (out.format === "code" && typeof m.lang === "string" && CODE_LANG_RE.test(m.lang)) out.lang = m.lang.toLowerCase();
+  return out;
+}
+
+/** File name a message part is saved under. */
+export function messageFilename(part) {
+  return part.format === "markdown" ? "message.md" : part.format === "html" ? "message.html" : "message.txt";
+}
+
+/** @returns {Source} SVGs are sent as files so they are never rendered inline. */
+export function fileSource(blob, filename, mime = blob.type) {
+  const type = mime || "application/octet-stream";
+  const isImage = /^image[/]/i.test(type) && !/svg/i.test(type);
+  return { blob, kind: isImage ? "image" : "file", mime: type, filename };
+}
+
+async function r2Multipart(server, u, action, body, partNumber) {
+  const params = { t: u.ticket, mpu: action };
+  if (u.uploadId) params.uploadId = u.uploadId;
+  if (partNumber) params.partNumber = String(partNumber);
+
+  const method = action === "part" ? "PUT" : action === "abort" ? "DELETE" : "POST";
+  const headers = {};
+  if (action === "complete") headers["content-type"] = "application/json";
+
+  const res = await fetch(r2Url(server, u.key, params), {
+    method,
+    headers,
+    body: action === "complete" ? JSON.stringify(body) : body,
+  });
+  return readApi(res, "upload failed");
+}
+
+async function readUploadChunk(aesKey, u, n, partCount) {
+  const recordsPerPart = MULTIPART_PART_BYTES / STREAM_CHUNK_BYTES;
+  if (aesKey) return encryptRecords(aesKey, u.nonce, u.blob, (n - 1) * recordsPerPart, partCount * recordsPerPart);
+
+  const start = (n - 1) * MULTIPART_PART_BYTES;
+  const end = Math.min(u.blob.size, start + partCount * MULTIPART_PART_BYTES);
+  return new Uint8Array(await u.blob.slice(start, end).arrayBuffer());
+}
+
+async function uploadMultipart(job, u, onBytes) {
+  if (!u.uploadId) u.uploadId = (await withRetry(() => r2Multipart(job.server, u, "create"))).uploadId;
+
+  for (let n = 1; n <= u.etags.length; n++) {
+    if (u.etags[n - 1]) continue;
+
+    const chunk = await readUploadChunk(job.aesKey, u, n, 1);
+    u.etags[n - 1] = (await withRetry(() => r2Multipart(job.server, u, "part", chunk, n))).etag;
+    onBytes(chunk.byteLength);
+  }
+
+  const parts = u.etags.map((etag, i) => ({ partNumber: i + 1, etag }));
+  await withRetry(() => r2Multipart(job.server, u, "complete", { parts }));
+}
+
+/**
+ * Encrypts the sources and reserves upload tickets for a new clip. The
+ * returned job is passed to uploadClip() and sendPrepared(); keep it to
+ * resume an interrupted upload.
+ *
+ * With a passphrase the clip is sealed with the chosen KDF preset; otherwise
+ * it is sealed to the receiver's published device keys, or sent in the clear
+ * when there are none (or `plain` is set). With `to` the clip is delivered
+ * only to that device and sealed to its key alone when it has published one.
+ * Pass `recipientKeys` from fetchRecipientKeys() to seal to a list the caller
+ * has already checked, e.g. against pinned fingerprints.
+ *
+ * @param {{ server: string, receiverId: string, sources: Source[], passphrase?: string, kdf?: string, plain?: boolean, to?: string, recipientKeys?: object[] }} opts
+ */
+export async function prepareSend({
+  server,
+  receiverId,
+  sources,
+  passphrase = "",
+  kdf = "argon2id",
+  plain = false,
+  to,
+  recipientKeys: checkedKeys,
+}) {
+  if (!sources.length) throw new NetclipError("empty", "Nothing to send.");
+  if (sources.length > MAX_ATTACHMENTS + 1) throw new NetclipError("too-many", "Too many attachments.");
+
+  const clipId = crypto.randomUUID();
+  const revokeToken = b64(crypto.getRandomValues(new Uint8Array(32)));
+
+  let enc = null;
+  let aesKey = null;
+  let recipientKeys = null;
+  if (passphrase) {
+    if (!KDF_PRESETS[kdf]) throw new NetclipError("bad-kdf", `Unknown KDF: ${kdf}`);
+    enc = { v: 2, ...KDF_PRESETS[kdf], saltB64: b64(crypto.getRandomValues(new Uint8Array(16))), chunkBytes: STREAM_CHUNK_BYTES };
+    aesKey = await deriveKey(passphrase, enc);
+  } else if (!plain) {
+    recipientKeys = checkedKeys || (await fetchRecipientKeys(server, receiverId));
+    if (to && recipientKeys.some((k) => k.deviceId === to)) {
+      recipientKeys = recipientKeys.filter((k) => k.deviceId === to);
+    }
+    if (recipientKeys.length) {
+      const sealed = await sealForRecipients(recipientKeys);
+      enc = { v: 2, ...sealed.enc, chunkBytes: STREAM_CHUNK_BYTES };
+      aesKey = sealed.aesKey;
+    }
+  }
+
+  const uploads = sources.map((src, i) => {
+    const nonce = aesKey ? crypto.getRandomValues(new Uint8Array(7)) : null;
+    const meta = { kind: src.kind, mime: src.mime };
+    if (src.filename) meta.filename = src.filename;
+    if (src.kind === "message") Object.assign(meta, messageMeta(src));
+    const multipart = src.blob.size > MULTIPART_PART_BYTES;
+    return {
+      name: aesKey ? `p${i}` : src.kind === "message" ? "message" : `file-${i}`,
+      blob: src.blob,
+      meta,
+      nonce,
+      size: aesKey ? streamCipherSize(src.blob.size, STREAM_CHUNK_BYTES) : src.blob.size,
+      multipart,
+      uploadId: "",
+      etags: multipart ? new Array(Math.ceil(src.blob.size / MULTIPART_PART_BYTES)).fill("") : [],
+      done: false,
+      part: aesKey ? { enc: { nonceB64: b64(nonce) } } : { ...meta, enc: null },
+    };
+  });
+
+  let manifest = null;
+  if (aesKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const meta = uploads.map((u) => ({ ...u.meta, size: u.blob.size }));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, aesKey, new TextEncoder().encode(JSON.stringify(meta)));
+    manifest = { ivB64: b64(iv), dataB64: b64(new Uint8Array(data)) };
+  }
+
+  const prepared = await readApi(
+    await fetch(apiUrl(server, "/api/clip/prepare"), {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        receiverId,
+        clipId,
+        parts: uploads.map((u) => ({ name: u.name, size: u.size, multipart: u.multipart })),
+      }),
+    }),
+    "prepare failed"
+  );
+  for (const u of uploads) {
+    const t = prepared.tickets.find((x) => x.name === u.name);
+    u.key = t.key;
+    u.ticket = t.ticket;
+    u.ticketExpiresAt = t.expiresAt;
+  }
+
+  return {
+    server,
+    receiverId,
+    to: to || null,
+    clipId,
+    revokeToken,
+    enc,
+    aesKey,
+    manifest,
+    recipientKeys,
+    uploads,
+    maxTtlSeconds: prepared.maxTtlSeconds,
+  };
+}
+
+// The server would clamp a longer expiry; refuse it before anything is sent.
+function checkTtl(job, ttlSec) {
+  if (ttlSec > job.maxTtlSeconds) {
+    throw new NetclipError("bad-ttl", `Clips expire after at most ${job.maxTtlSeconds} seconds here.`, {
+      params: { max: job.maxTtlSeconds },
+    });
+  }
+}
+
+/**
+ * Uploads every part of a prepared job, skipping parts (and multipart
+ * chunks) that finished in an earlier attempt.
+ * onProgress(sentBytes, totalBytes) is called as chunks complete.
+ */
+export async function uploadClip(job, onProgress = () => {}) {
+  const total = job.uploads.reduce((sum, u) => sum + u.size, 0);
+  let sent = job.uploads.reduce((sum, u) => {
+    if (u.done) return sum + u.size;
+    if (!u.multipart) return sum;
+    return sum + u.etags.filter(Boolean).length * Math.round(u.size / u.etags.length);
+  }, 0);
+  const onBytes = (n) => {
+    sent += n;
+    onProgress(sent, total);
+  };
+  onProgress(sent, total);
+
+  for (const u of job.uploads) {
+    if (u.done) continue;
+    if (u.multipart) {
+      await uploadMultipart(job, u, onBytes);
+    } else {
+      const data = await readUploadChunk(job.aesKey, u, 1, Infinity);
+      await withRetry(async () =>
+        readApi(
+          await fetch(r2Url(job.server, u.key, { t: u.ticket }), {
+            method: "PUT",
+            headers: { "content-type": "application/octet-stream" },
+            body: data,
+          }),
+          "upload failed"
+        )
+      );
+      onBytes(u.size);
+    }
+    u.done = true;
+  }
+}
+
+/**
+ * Delivers an uploaded job to the receiver's mailbox. With `ownerSecret`
+ * (the owner key of `fromUser`) the receiver reports deliveries and reads
+ * back as "receipt" messages on fromUser's subscribe() connection.
+ * @param {{ fromUser?: string, fromDevice?: string, ownerSecret?: string, ttlSec?: number, burn?: boolean, maxDownloads?: number }} [options]
+ * @returns {Promise<SendResult>}
+ */
+export async function sendPrepared(job, { fromUser, fromDevice, ownerSecret, ttlSec, burn = false, maxDownloads } = {}) {
+  checkTtl(job, ttlSec);
+  const clip = {
+    id: job.clipId,
+    ts: Date.now(),
+    fromUser,
+    fromDevice,
+    enc: job.enc,
+    manifest: job.manifest,
+    ttlSec,
+    burn,
+    maxDownloads,
+    to: job.to || undefined,
+    revokeHash: await sha256B64(job.revokeToken),
+    parts: job.uploads.map((u) => ({ ...u.part, r2Key: u.key, ticket: u.ticket, size: u.size })),
+  };
+  const receipts = ownerSecret && fromUser ? await ownerProof(ownerSecret, "receipts", job.clipId) : undefined;
+  const j = await readApi(
+    await fetch(apiUrl(job.server, "/api/clip/send"), {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ receiverId: job.receiverId, clip, receipts }),
+    }),
+    "send failed"
+  );
+
+  return {
+    clipId: job.clipId,
+    revokeToken: job.revokeToken,
+    expiresAt: j.expiresAt,
+    enc: job.enc ? job.enc.alg : null,
+    recipients: job.enc?.recipients?.length || 0,
+  };
+}
+
+/**
+ * Prepares, uploads and sends one clip in a single call.
+ * @returns {Promise<SendResult>}
+ */
+export async function sendClip(opts) {
+  const job = await prepareSend(opts);
+  checkTtl(job, opts.ttlSec);
+  await uploadClip(job, opts.onProgress);
+  return sendPrepared(job, opts);
+}
+
+/**
+ * Streams the plaintext of one part as Uint8Array chunks. `key` is the clip
+ * key from clipKey(), or null for unencrypted clips.
+ * @param {string} server
+ * @param {Clip} clip
+ * @param {Part} p
+ * @param {CryptoKey|null} key
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* fetchPart(server, clip, p, key) {
+  const res = await fetch(r2Url(server, p.r2Key, { t: p.ticket }));
+  if (!res.ok) throw new NetclipError("download", `download failed (${res.status})`, { status: res.status });
+
+  if (!clip.enc) {
+    yield* readBody(res.body);
+    return;
+  }
+  if (clip.enc.v === 2) {
+    yield* decryptRecords(key, p.enc.nonceB64, clip.enc.chunkBytes, p.size, res.body);
+    return;
+  }
+  yield await decryptPart(key, p.enc, new Uint8Array(await res.arrayBuffer()));
+}
+
+/**
+ * Deletes a clip. auth is { revokeToken } for the sender, or an
+ * ownerProof(secret, "delete", clipId) for the mailbox owner.
+ */
+export async function deleteClip(server, receiverId, clipId, auth) {
+  const res = await fetch(apiUrl(server, "/api/clip/delete"), {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ receiverId, clipId, ...auth }),
+  });
+  return readApi(res, "delete failed");
+}
+
+/**
+ * Connects to a mailbox as an owner device. Claims the mailbox with
+ * `ownerSecret` when it is unclaimed, authenticates otherwise, publishes the
+ * device key and reports server messages through onEvent(msg), plus
+ * { type: "open" }, { type: "error" } and { type: "close", code, reason }.
+ * `deviceKeys` may be a promise (or null when the runtime lacks X25519).
+ * `deviceName` is announced after authenticating; "presence" messages list
+ * the mailbox's devices as Device objects. Clips this mailbox sent with
+ * receipts are reported as { type: "receipt", clipId, receiverId, delivered,
+ * opened } with device counts.
+ *
+ * The "authed" message carries `pushKey`, the server's VAPID public key, or
+ * null when Web Push is not configured. setPush(subscription, locale)
+ * registers a PushSubscription (its toJSON() form) for this device, with the
+ * language its notifications should use, or removes it when null; it waits
+ * for authentication if needed and is answered with { type: "push", enabled }.
+ *
+ * @param {{ server: string, userId: string, deviceId: string, ownerSecret: string, deviceKeys?: DeviceKeys|Promise<DeviceKeys|null>|null, deviceName?: string, onEvent: (msg: object) => void }} opts
+ * @returns {{ close: () => void, setName: (name: string) => void, setPush: (subscription: object|null, locale?: string) => void }}
+ */
+export function subscribe({ server, userId, deviceId, ownerSecret, deviceKeys, deviceName, onEvent }) {
+  const url = new URL(`/ws?user=${encodeURIComponent(userId)}&device=${encodeURIComponent(deviceId)}`, server);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+
+  const ws = new WebSocket(url);
+  let authed = false;
+  let push;
+  let pushLocale;
+  const sendPush = () => {
+    if (push === undefined || !authed || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(
+      JSON.stringify(
+        push ? { type: "push-subscribe", subscription: push, locale: pushLocale } : { type: "push-unsubscribe" }
+      )
+    );
+  };
+  ws.onopen = () => onEvent({ type: "open" });
+  ws.onmessage = async (evt) => {
+    let msg;
+    try {
+      msg = JSON.parse(evt.data);
+    } catch {
+      return;
+    }
+
+    if (msg.type === "hello") {
+      if (!msg.claimed) ws.send(JSON.stringify({ type: "claim", secretB64: ownerSecret }));
+      else ws.send(JSON.stringify({ type: "auth", proof: await hmacB64(ownerSecret, `ws:${msg.nonce}`) }));
+      return;
+    }
+    if (msg.type === "authed") {
+      if (deviceName && deviceName !== msg.name) ws.send(JSON.stringify({ type: "set-name", name: deviceName }));
+      authed = true;
+      sendPush();
+      const keys = await deviceKeys;
+      if (keys && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: "publish-key", publicKeyB64: keys.publicKeyB64 }));
+      }
+    }
+    onEvent(msg);
+  };
+  ws.onclose = (evt) => onEvent({ type: "close", code: evt.code, reason: evt.reason });
+  ws.onerror = () => onEvent({ type: "error" });
+
+  return {
+    close: () => ws.close(),
+    setName: (name) => {
+      deviceName = name;
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: "set-name", name }));
+    },
+    setPush: (subscription, locale) => {
+      push = subscription;
+      pushLocale = locale;
+      sendPush();
+    },
+  };
+}
@@ -1,11 +1,174 @@
 import { DurableObject } from "cloudflare:workers";
+import { DEFAULT_LOCALE, pickLocale, translate } from "../public/i18n/messages.js";
+import { isMailboxId } from "../public/sdk/mailbox-id.js";
+import { parseSubscription, sendWebPush, vapidKeys } from "./webpush.js";
 
 const TTL_MS = 15 * 60 * 1000;
-const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+const MIN_TTL_MS = 60 * 1000;
+const DEFAULT_MAX_TTL_SECONDS = 24 * 60 * 60;
+const MAX_DOWNLOADS_LIMIT = 100;
+const DEFAULT_MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+// The SDK cuts every multipart upload but its last part to
+// MULTIPART_PART_BYTES, plus a 16-byte GCM tag per 64 KiB record when encrypted.
+const MULTIPART_PART_BYTES = 8 * 1024 * 1024;
+const MULTIPART_MAX_CHUNK_BYTES = MULTIPART_PART_BYTES + 16 * (MULTIPART_PART_BYTES / (64 * 1024));
+const MULTIPART_MAX_PARTS = 10000;
 const KEY_PREFIX = "clips/";
+// Marks each open multipart upload: UPLOAD_PREFIX + the object key's path
+// under KEY_PREFIX, holding the upload id and its ticket's expiry.
+const UPLOAD_PREFIX = "uploads/";
+const OWNER_PROOF_WINDOW_MS = 5 * 60 * 1000;
+const UPLOAD_TICKET_TTL_MS = 10 * 60 * 1000;
+const MULTIPART_TICKET_TTL_MS = 60 * 60 * 1000;
+// A send is still accepted this long after its tickets were issued.
+const ORPHAN_GRACE_MS = 2 * MULTIPART_TICKET_TTL_MS;
+const MAX_PARTS = 8;
+const HISTORY_LIMIT = 10;
+const MANIFEST_MAX_CHARS = 64 * 1024;
+const DEVICE_KEYS_LIMIT = 8;
+const DEVICES_LIMIT = 16;
+const DEVICE_ID_MAX_CHARS = 64;
+const DEVICE_NAME_MAX_CHARS = 40;
+const OUTGOING_LIMIT = 50;
+// Share-sheet posts that reach the Worker (no service worker yet) are parsed
+// only up to this size, and their text is carried back in the URL fragment.
+const SHARE_FALLBACK_MAX_BYTES = 1024 * 1024;
+const SHARE_TEXT_MAX_CHARS = 4000;
+const DEFAULT_RATE_LIMITS = {
+  IP_SEND: "30/60",
+  IP_UPLOAD: "300/60",
+  IP_WS: "30/60",
+  IP_LOOKUP: "60/60",
+  MAILBOX_SEND: "30/60",
+  MAILBOX_WS: "30/60",
+};
+
+function isClipId(x) {
+  return typeof x === "string" && /^[A-Za-z0-9-]{8,64}$/.test(x);
+}
+
+// Message subtypes the page renders; plain text carries no format field.
+const MESSAGE_FORMATS = new Set(["markdown", "html", "code"]);
+
+function messageFormat(p) {
+  const out = {};
+  if (MESSAGE_FORMATS.has(p.format)) out.format = p.format;
+  if (out.format === "code" && typeof p.lang === "string" && /^[a-z0-9][a-z0-9+#._-]{0,31}$/i.test(p.lang)) {
+    out.lang = p.lang.toLowerCase();
+  }
+  return out;
+}
+
+function messageFilename(p) {
+  return p.format === "markdown" ? "message.md" : p.format === "html" ? "message.html" : "message.txt";
+}
+
+function isDeviceId(x) {
+  return typeof x === "string" && x.length > 0 && x.length <= DEVICE_ID_MAX_CHARS;
+}
+
+function maxUploadBytes(env) {
+  const n = Number(env.MAX_UPLOAD_BYTES);
+  return Number.isSafeInteger(n) && n > 0 ? n : DEFAULT_MAX_UPLOAD_BYTES;
+}
+
+function maxTtlMs(env) {
+  const n = Number(env.MAX_TTL_SECONDS);
+  return (Number.isSafeInteger(n) && n * 1000 >= MIN_TTL_MS ? n : DEFAULT_MAX_TTL_SECONDS) * 1000;
+}
+
+// The lifetime a clip asking for `ttlSec` gets: clamped to the allowed range,
+// TTL_MS when it asks for none.
+function clipTtlMs(env, ttlSec) {
+  const maxTtl = maxTtlMs(env);
+  return Number.isFinite(ttlSec)
+    ? Math.min(maxTtl, Math.max(MIN_TTL_MS, Math.round(ttlSec) * 1000))
+    : Math.min(maxTtl, TTL_MS);
+}
+
+function isPartName(x) {
+  return typeof x === "string" && /^[a-z0-9_-]{1,32}$/.test(x);
+}
+
+function bytesToB64(u8) {
+  let s = "";
+  for (const b of u8) s += String.fromCharCode(b);
+  return btoa(s);
+}
+
+function b64ToBytes(s) {
+  const bin = atob(s);
+  const u8 = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i);
+  return u8;
+}
+
+function bytesToB64url(u8) {
+  return bytesToB64(u8).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function b64urlToBytes(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/");
+  return b64ToBytes(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+}
+
+async function sha256B64(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return bytesToB64(new Uint8Array(digest));
+}
+
+const ticketKeys = new Map();
+
+function hasTicketSecret(env) {
+  return typeof env.TICKET_SECRET === "string" && env.TICKET_SECRET.length >= 16;
+}
 
-function isSixDigits(x) {
-  return typeof x === "string" && /^[0-9]{6}$/.test(x);
+async function getTicketKey(env) {
+  let key = ticketKeys.get(env.TICKET_SECRET);
+  if (!key) {
+    key = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(env.TICKET_SECRET),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign", "verify"]
+    );
+    ticketKeys.set(env.TICKET_SECRET, key);
+  }
+  return key;
+}
+
+async function signTicket(env, payload) {
+  const body = bytesToB64url(new TextEncoder().encode(JSON.stringify(payload)));
+  const sig = await crypto.subtle.sign("HMAC", await getTicketKey(env), new TextEncoder().encode(body));
+  return `${body}.${bytesToB64url(new Uint8Array(sig))}`;
+}
+
+async function verifyTicket(env, ticket, graceMs = 0) {
+  if (!hasTicketSecret(env) || typeof ticket !== "string" || ticket.length > 2048) return null;
+
+  const [body, sig, ...rest] = ticket.split(".");
+  if (!body || !sig || rest.length) return null;
+
+  try {
+    const key = await getTicketKey(env);
+    const valid = await crypto.subtle.verify("HMAC", key, b64urlToBytes(sig), new TextEncoder().encode(body));
+    if (!valid) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(b64urlToBytes(body)));
+    if (!payload || typeof payload !== "object") return null;
+    if (!Number.isFinite(payload.e) || payload.e + graceMs <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function contentDisposition(filename) {
+  const name = typeof filename === "string" && filename ? filename : "download.bin";
+  const ascii = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
 }
 
 function noStore(extra = {}) {
@@ -35,9 +198,56 @@ const INDEX_CSP = [
   "connect-src 'self' ws: wss:",
   "font-src https://fonts.gstatic.com data:",
   "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
-  "script-src 'self' 'unsafe-inline' https://cdn.tailwindcss.com",
+  "script-src 'self' 'unsafe-inline' https://cdn.tailwindcss.com https://cdn.jsdelivr.net",
 ].join("; ");
 
+// Camera access is governed by Permissions-Policy rather than CSP; the page
+// needs it to scan pairing QR codes.
+const INDEX_PERMISSIONS = "camera=(self), microphone=(), geolocation=()";
+
+function rateLimitConfig(env, name) {
+  const raw = String(env[`RATE_LIMIT_${name}`] ?? DEFAULT_RATE_LIMITS[name] ?? "").trim();
+  const m = /^(\d+)\/(\d+)$/.exec(raw);
+  if (!m || Number(m[1]) <= 0 || Number(m[2]) <= 0) return null;
+  return { capacity: Number(m[1]), periodMs: Number(m[2]) * 1000 };
+}
+
+function clientIp(request) {
+  return request.headers.get("CF-Connecting-IP") || "unknown";
+}
+
+// checks: [[scope, key, limitName], ...]; returns a 429 response or null.
+async function rateLimit(env, checks) {
+  if (!env.RATE_LIMITER) return null;
+
+  for (const [scope, key, name] of checks) {
+    const limit = rateLimitConfig(env, name);
+    if (!limit) continue;
+
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`${scope}:${key}`));
+    const res = await stub.fetch("https://do/take", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ bucket: name, ...limit }),
+    });
+    const j = await res.json();
+    if (!j.allowed) {
+      const params = { retryAfter: j.retryAfter };
+      return json(
+        {
+          ok: false,
+          code: "rate-limited",
+          error: translate("en", "error.rate-limited", params),
+          params,
+          retryAfter: j.retryAfter,
+        },
+        { status: 429, headers: { "retry-after": String(j.retryAfter) } }
+      );
+    }
+  }
+  return null;
+}
+
 function json(obj, init = {}) {
   const headers = new Headers(init.headers || {});
   headers.set("content-type", "application/json; charset=utf-8");
@@ -45,16 +255,62 @@ function json(obj, init = {}) {
   return new Response(JSON.stringify(obj), { ...init, headers });
 }
 
-function err(status, message) {
-  return json({ ok: false, error: message }, { status });
+// Error bodies carry a stable `code` (plus the `params` its message needs)
+// next to the English text; localizeError swaps in the caller's language.
+function err(status, code, params) {
+  const body = { ok: false, code, error: translate("en", `error.${code}`, params) };
+  if (params) body.params = params;
+  return json(body, { status });
+}
+
+// Rewrites the `error` of a coded JSON error body (ours or a Durable
+// Object's) for the request's Accept-Language.
+async function localizeError(request, res) {
+  if (res.ok || res.webSocket || !res.headers.get("content-type")?.startsWith("application/json")) return res;
+  const body = await res.clone().json().catch(() => null);
+  if (typeof body?.code !== "string") return res;
+
+  const locale = pickLocale(request.headers.get("accept-language"));
+  body.error = translate(locale, `error.${body.code}`, body.params);
+  const headers = new Headers(res.headers);
+  headers.set("content-language", locale);
+  headers.append("vary", "accept-language");
+  return new Response(JSON.stringify(body), { status: res.status, statusText: res.statusText, headers });
 }
 
 function ok(data = {}) {
   return json({ ok: true, ...data });
 }
 
+// The page's service worker normally answers share-sheet posts itself; this
+// covers the first share after install, before the worker has taken control.
+async function shareFallback(request, url) {
+  const size = Number(request.headers.get("content-length") || 0);
+  const form = size <= SHARE_FALLBACK_MAX_BYTES ? await request.formData().catch(() => null) : null;
+
+  let text = "";
+  let lost = !form;
+  if (form) {
+    text = ["title", "text", "url"]
+      .map((k) => form.get(k))
+      .filter((v) => typeof v === "string" && v)
+      .join("\n")
+      .slice(0, SHARE_TEXT_MAX_CHARS);
+    lost = form.getAll("files").some((f) => typeof f !== "string");
+  }
+
+  const target = new URL("/", url);
+  target.searchParams.set("share", lost ? "lost" : "text");
+  if (text) target.hash = "text=" + encodeURIComponent(text);
+  return new Response(null, { status: 303, headers: securityHeaders({ location: target.toString() }) });
+}
+
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
+    return localizeError(request, await this.route(request, env, ctx));
+  },
+
+  async route(request, env, ctx) {
     const url = new URL(request.url);
 
     if (url.pathname === "/") {
@@ -62,19 +318,40 @@ export default {
         headers: securityHeaders({
           "content-type": "text/html; charset=utf-8",
           "content-security-policy": INDEX_CSP,
+          "permissions-policy": INDEX_PERMISSIONS,
+        }),
+      });
+    }
+
+    if (url.pathname === "/sw.js") {
+      return new Response(SERVICE_WORKER_JS, {
+        headers: securityHeaders({
+          "content-type": "text/javascript; charset=utf-8",
+          "cache-control": "no-cache",
         }),
       });
     }
 
+    if (url.pathname === "/share" && request.method === "POST") {
+      return shareFallback(request, url);
+    }
+
     if (url.pathname === "/ws") {
       const user = url.searchParams.get("user") || "";
       const device = url.searchParams.get("device") || "unknown";
 
-      if (!isSixDigits(user)) return err(400, "Invalid user id (need 6 digits).");
+      if (!isMailboxId(user)) return err(400, "bad-user-id");
+      if (!isDeviceId(device)) return err(400, "bad-device-id");
       if (request.headers.get("Upgrade")?.toLowerCase() !== "websocket") {
-        return err(426, "Expected WebSocket Upgrade.");
+        return err(426, "expected-websocket");
       }
 
+      const limited = await rateLimit(env, [
+        ["ip", clientIp(request), "IP_WS"],
+        ["mailbox", user, "MAILBOX_WS"],
+      ]);
+      if (limited) return limited;
+
       const id = env.MAILBOX.idFromName(user);
       const stub = env.MAILBOX.get(id);
 
@@ -84,35 +361,122 @@ export default {
       return stub.fetch(new Request(nextUrl.toString(), request));
     }
 
+    if (url.pathname === "/api/clip/prepare" && request.method === "POST") {
+      if (!hasTicketSecret(env)) return err(500, "no-ticket-secret");
+
+      const body = await request.json().catch(() => null);
+      if (!body) return err(400, "bad-json");
+
+      const receiverId = body.receiverId || "";
+      const clipId = body.clipId || "";
+      const parts = body.parts;
+
+      if (!isMailboxId(receiverId)) return err(400, "bad-receiver-id");
+      if (!isClipId(clipId)) return err(400, "bad-clip-id");
+      if (!Array.isArray(parts) || !parts.length) return err(400, "missing-parts");
+      if (parts.length > MAX_PARTS) return err(400, "too-many-parts", { max: MAX_PARTS });
+
+      const limited = await rateLimit(env, [["ip", clientIp(request), "IP_SEND"]]);
+      if (limited) return limited;
+
+      const maxBytes = maxUploadBytes(env);
+      const names = new Set();
+      for (const p of parts) {
+        if (!isPartName(p?.name) || names.has(p.name)) return err(400, "bad-part-name");
+        if (!Number.isSafeInteger(p.size) || p.size <= 0) return err(400, "bad-part-size");
+        if (p.size > maxBytes) return err(413, "too-large", { max: maxBytes });
+        names.add(p.name);
+      }
+
+      const now = Date.now();
+      const tickets = [];
+      for (const p of parts) {
+        const key = `${KEY_PREFIX}${receiverId}/${clipId}/${p.name}.bin`;
+        const multipart = p.multipart === true;
+        const expiresAt = now + (multipart ? MULTIPART_TICKET_TTL_MS : UPLOAD_TICKET_TTL_MS);
+        const payload = { m: "put", k: key, r: receiverId, c: clipId, s: p.size, e: expiresAt };
+        if (multipart) payload.mp = 1;
+        tickets.push({ name: p.name, key, ticket: await signTicket(env, payload), expiresAt });
+      }
+
+      return ok({ tickets, maxUploadBytes: maxBytes, maxTtlSeconds: maxTtlMs(env) / 1000 });
+    }
+
     if (url.pathname === "/api/clip/send" && request.method === "POST") {
       const body = await request.json().catch(() => null);
-      if (!body) return err(400, "Invalid JSON.");
+      if (!body) return err(400, "bad-json");
 
       const receiverId = body.receiverId || "";
       const clip = body.clip;
 
-      if (!isSixDigits(receiverId)) return err(400, "receiverId must be 6 digits.");
-      if (!clip || typeof clip !== "object") return err(400, "Missing clip payload.");
+      if (!isMailboxId(receiverId)) return err(400, "bad-receiver-id");
+      if (!clip || typeof clip !== "object") return err(400, "missing-clip");
+
+      // The mailbox limit counts the clips it receives, however they were uploaded.
+      const limited = await rateLimit(env, [
+        ["ip", clientIp(request), "IP_SEND"],
+        ["mailbox", receiverId, "MAILBOX_SEND"],
+      ]);
+      if (limited) return limited;
+
+      // Receipts are only relayed to a sender mailbox whose owner asked for
+      // them; it is registered before the receiver can report a delivery, and
+      // dropped again if the receiver refuses the clip.
+      clip.receipts = false;
+      let sender = null;
+      if (isMailboxId(clip.fromUser) && body.receipts && typeof clip.id === "string") {
+        sender = env.MAILBOX.get(env.MAILBOX.idFromName(clip.fromUser));
+        const res = await sender
+          .fetch("https://do/outgoing", {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify({
+              clipId: clip.id,
+              receiverId,
+              ts: body.receipts.ts,
+              proof: body.receipts.proof,
+              expiresAt: Date.now() + clipTtlMs(env, clip.ttlSec),
+            }),
+          })
+          .then((r) => r.json())
+          .catch(() => null);
+        clip.receipts = !!res?.registered;
+      }
 
       const id = env.MAILBOX.idFromName(receiverId);
       const stub = env.MAILBOX.get(id);
 
-      return stub.fetch("https://do/clip", {
+      const res = await stub.fetch("https://do/clip", {
         method: "POST",
         headers: { "content-type": "application/json" },
-        body: JSON.stringify({ clip }),
+        body: JSON.stringify({ receiverId, clip }),
       });
+      // A 409 means a clip with this id is already stored, so its row stays.
+      if (clip.receipts && !res.ok && res.status !== 409) {
+        await sender
+          .fetch("https://do/outgoing", {
+            method: "DELETE",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify({ clipId: clip.id }),
+          })
+          .catch(() => {});
+      }
+      return res;
     }
 
     if (url.pathname === "/api/clip/delete" && request.method === "POST") {
       const body = await request.json().catch(() => null);
-      if (!body) return err(400, "Invalid JSON.");
+      if (!body) return err(400, "bad-json");
 
       const receiverId = body.receiverId || "";
       const clipId = body.clipId || "";
+      const { revokeToken, ts, proof } = body;
 
-      if (!isSixDigits(receiverId)) return err(400, "receiverId must be 6 digits.");
-      if (typeof clipId !== "string" || clipId.length < 8) return err(400, "Invalid clipId.");
+      if (!isMailboxId(receiverId)) return err(400, "bad-receiver-id");
+      if (typeof clipId !== "string" || clipId.length < 8) return err(400, "bad-clip-id");
+
+      const limited = await rateLimit(env, [["ip", clientIp(request), "IP_LOOKUP"]]);
+      if (limited) return limited;
 
       const id = env.MAILBOX.idFromName(receiverId);
       const stub = env.MAILBOX.get(id);
@@ -120,21 +484,71 @@ export default {
       return stub.fetch("https://do/delete", {
         method: "POST",
         headers: { "content-type": "application/json" },
-        body: JSON.stringify({ clipId }),
+        body: JSON.stringify({ clipId, revokeToken, ts, proof }),
       });
     }
 
+    if (url.pathname === "/api/mailbox/keys" && request.method === "GET") {
+      const receiverId = url.searchParams.get("receiverId") || "";
+      if (!isMailboxId(receiverId)) return err(400, "bad-receiver-id");
+
+      const limited = await rateLimit(env, [["ip", clientIp(request), "IP_LOOKUP"]]);
+      if (limited) return limited;
+
+      const id = env.MAILBOX.idFromName(receiverId);
+      const stub = env.MAILBOX.get(id);
+
+      return stub.fetch("https://do/keys");
+    }
+
+    if (url.pathname === "/api/clip/history" && request.method === "GET") {
+      const receiverId = url.searchParams.get("receiverId") || "";
+      if (!isMailboxId(receiverId)) return err(400, "bad-receiver-id");
+
+      const limited = await rateLimit(env, [["ip", clientIp(request), "IP_LOOKUP"]]);
+      if (limited) return limited;
+
+      const id = env.MAILBOX.idFromName(receiverId);
+      const stub = env.MAILBOX.get(id);
+
+      const nextUrl = new URL("https://do/history");
+      nextUrl.searchParams.set("ts", url.searchParams.get("ts") || "");
+      nextUrl.searchParams.set("proof", url.searchParams.get("proof") || "");
+      const device = url.searchParams.get("device");
+      if (device) nextUrl.searchParams.set("device", device);
+
+      return stub.fetch(nextUrl.toString());
+    }
+
     if (url.pathname.startsWith("/api/r2/")) {
       const rawKey = url.pathname.slice("/api/r2/".length);
       const key = decodeURIComponent(rawKey);
 
-      if (!key.startsWith(KEY_PREFIX)) return err(403, "Key prefix not allowed.");
-      if (key.includes("..")) return err(400, "Invalid key.");
+      if (!key.startsWith(KEY_PREFIX)) return err(403, "key-prefix");
+      if (key.includes("..")) return err(400, "bad-object-key");
+      if (!hasTicketSecret(env)) return err(500, "no-ticket-secret");
+
+      const ticket = await verifyTicket(env, url.searchParams.get("t"));
+      if (!ticket || ticket.k !== key) return err(403, "bad-ticket");
+
+      if (ticket.m === "put") {
+        const limited = await rateLimit(env, [["ip", clientIp(request), "IP_UPLOAD"]]);
+        if (limited) return limited;
+      }
+
+      if (url.searchParams.has("mpu")) {
+        if (ticket.m !== "put" || !ticket.mp) return err(403, "ticket-no-multipart");
+        return handleMultipart(request, env, url, key, ticket);
+      }
 
       if (request.method === "PUT") {
+        if (ticket.m !== "put") return err(403, "ticket-no-upload");
+
+        const maxBytes = maxUploadBytes(env);
         const len = Number(request.headers.get("content-length") || "0");
-        if (!len) return err(411, "content-length required.");
-        if (len > MAX_UPLOAD_BYTES) return err(413, `Max upload is ${MAX_UPLOAD_BYTES} bytes.`);
+        if (!len) return err(411, "length-required");
+        if (len > maxBytes) return err(413, "too-large", { max: maxBytes });
+        if (len > ticket.s) return err(413, "over-ticket");
 
         await env.CLIP_BUCKET.put(key, request.body, {
           httpMetadata: { contentType: "application/octet-stream", cacheControl: "no-store" },
@@ -144,44 +558,266 @@ export default {
       }
 
       if (request.method === "GET") {
+        if (ticket.m !== "get") return err(403, "ticket-no-download");
+
         const obj = await env.CLIP_BUCKET.get(key);
-        if (!obj) return err(404, "Not found.");
+        if (!obj) return err(404, "not-found");
 
         const headers = new Headers(securityHeaders());
         headers.set("content-type", "application/octet-stream");
         headers.set("content-length", String(obj.size));
-        headers.set("content-disposition", 'attachment; filename="download.bin"');
-        return new Response(obj.body, { headers });
+        headers.set("content-disposition", contentDisposition(ticket.f));
+        if (!ticket.d && !ticket.v) return new Response(obj.body, { headers });
+
+        // Download limits and read receipts only count once the whole object
+        // has been streamed out.
+        const receiverId = key.slice(KEY_PREFIX.length).split("/")[0];
+        const counter = new TransformStream({
+          flush() {
+            const stub = env.MAILBOX.get(env.MAILBOX.idFromName(receiverId));
+            ctx.waitUntil(
+              stub.fetch("https://do/downloaded", {
+                method: "POST",
+                headers: { "content-type": "application/json" },
+                body: JSON.stringify({ clipId: ticket.c, key, deviceId: ticket.v }),
+              })
+            );
+          },
+        });
+        return new Response(obj.body.pipeThrough(counter), { headers });
       }
 
-      return err(405, "Method not allowed.");
+      return err(405, "method-not-allowed");
     }
 
-    return err(404, "Not found.");
+    return err(404, "not-found");
+  },
+
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(sweepOrphans(env));
   },
 };
 
+// Deletes objects under KEY_PREFIX that no live clip refers to, e.g. uploads
+// whose send never happened. Objects younger than ORPHAN_GRACE_MS may still
+// become a clip and are left alone. Multipart uploads still open after their
+// ticket expired are aborted first, since listing never shows their parts.
+async function sweepOrphans(env) {
+  const stats = { scanned: 0, young: 0, live: 0, orphans: 0, aborted: 0 };
+  await abortStaleUploads(env, stats);
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+
+  let cursor;
+  do {
+    const page = await env.CLIP_BUCKET.list({ prefix: KEY_PREFIX, cursor, limit: 1000 });
+    cursor = page.truncated ? page.cursor : undefined;
+
+    const byReceiver = new Map();
+    const orphans = [];
+    for (const obj of page.objects) {
+      stats.scanned++;
+      if (obj.uploaded.getTime() > cutoff) {
+        stats.young++;
+        continue;
+      }
+      const receiverId = obj.key.slice(KEY_PREFIX.length).split("/")[0];
+      if (!isMailboxId(receiverId)) {
+        orphans.push(obj.key);
+        continue;
+      }
+      if (!byReceiver.has(receiverId)) byReceiver.set(receiverId, []);
+      byReceiver.get(receiverId).push(obj.key);
+    }
+
+    for (const [receiverId, keys] of byReceiver) {
+      const stub = env.MAILBOX.get(env.MAILBOX.idFromName(receiverId));
+      const res = await stub.fetch("https://do/live", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ keys }),
+      });
+      const j = await res.json();
+      if (!j.ok) continue;
+
+      const live = new Set(j.live);
+      stats.live += live.size;
+      orphans.push(...keys.filter((k) => !live.has(k)));
+    }
+
+    if (orphans.length) await env.CLIP_BUCKET.delete(orphans);
+    stats.orphans += orphans.length;
+  } while (cursor);
+
+  console.log(
+    `orphan sweep: scanned=${stats.scanned} young=${stats.young} live=${stats.live} deleted=${stats.orphans} ` +
+      `aborted=${stats.aborted}`
+  );
+  return stats;
+}
+
+async function abortStaleUploads(env, stats) {
+  const now = Date.now();
+  let cursor;
+  do {
+    const page = await env.CLIP_BUCKET.list({
+      prefix: UPLOAD_PREFIX,
+      cursor,
+      limit: 1000,
+      include: ["customMetadata"],
+    });
+    cursor = page.truncated ? page.cursor : undefined;
+
+    const stale = page.objects.filter((m) => !(Number(m.customMetadata?.expiresAt) > now));
+    for (const marker of stale) {
+      const key = KEY_PREFIX + marker.key.slice(UPLOAD_PREFIX.length);
+      const uploadId = marker.customMetadata?.uploadId || "";
+      // Already completed or aborted uploads throw; the marker goes either way.
+      if (uploadId) await env.CLIP_BUCKET.resumeMultipartUpload(key, uploadId).abort().catch(() => {});
+      stats.aborted++;
+    }
+    if (stale.length) await env.CLIP_BUCKET.delete(stale.map((m) => m.key));
+  } while (cursor);
+}
+
+// A ticket opens at most one multipart upload: creating it again returns the
+// same upload, and sweepOrphans() aborts it once the ticket has expired.
+async function handleMultipart(request, env, url, key, ticket) {
+  const action = url.searchParams.get("mpu");
+  const uploadId = url.searchParams.get("uploadId") || "";
+  const markerKey = UPLOAD_PREFIX + key.slice(KEY_PREFIX.length);
+
+  if (action === "create" && request.method === "POST") {
+    const marker = await env.CLIP_BUCKET.head(markerKey);
+    if (marker) return ok({ key, uploadId: marker.customMetadata.uploadId });
+
+    const upload = await env.CLIP_BUCKET.createMultipartUpload(key, {
+      httpMetadata: { contentType: "application/octet-stream", cacheControl: "no-store" },
+    });
+    await env.CLIP_BUCKET.put(markerKey, "", {
+      customMetadata: { uploadId: upload.uploadId, expiresAt: String(ticket.e) },
+    });
+    return ok({ key, uploadId: upload.uploadId });
+  }
+
+  if (!uploadId) return err(400, "missing-upload-id");
+  const upload = env.CLIP_BUCKET.resumeMultipartUpload(key, uploadId);
+
+  try {
+    if (action === "part" && request.method === "PUT") {
+      const partNumber = Number(url.searchParams.get("partNumber"));
+      if (!Number.isSafeInteger(partNumber) || partNumber < 1 || partNumber > MULTIPART_MAX_PARTS) {
+        return err(400, "bad-part-number");
+      }
+
+      const len = Number(request.headers.get("content-length") || "0");
+      if (!len) return err(411, "length-required");
+      if (len > MULTIPART_MAX_CHUNK_BYTES) return err(413, "part-too-large", { max: MULTIPART_MAX_CHUNK_BYTES });
+      // Earlier parts take at least MULTIPART_PART_BYTES each, so this one must
+      // still fit in what the ticket leaves after them.
+      if (len > ticket.s || (partNumber - 1) * MULTIPART_PART_BYTES + len > ticket.s) {
+        return err(413, "over-ticket");
+      }
+
+      const part = await upload.uploadPart(partNumber, request.body);
+      return ok({ partNumber: part.partNumber, etag: part.etag });
+    }
+
+    if (action === "complete" && request.method === "POST") {
+      const body = await request.json().catch(() => null);
+      const parts = Array.isArray(body?.parts) ? body.parts : null;
+      if (!parts?.length) return err(400, "missing-parts");
+
+      const obj = await upload.complete(
+        parts.map((p) => ({ partNumber: Number(p?.partNumber), etag: String(p?.etag || "") }))
+      );
+      await env.CLIP_BUCKET.delete(markerKey);
+      if (obj.size > ticket.s || obj.size > maxUploadBytes(env)) {
+        await env.CLIP_BUCKET.delete(key);
+        return err(413, "over-ticket");
+      }
+      return ok({ key, size: obj.size });
+    }
+
+    if (action === "abort" && request.method === "DELETE") {
+      await upload.abort();
+      await env.CLIP_BUCKET.delete(markerKey);
+      return ok({ aborted: true });
+    }
+  } catch (e) {
+    return err(400, "multipart-failed", { reason: String(e?.message || e) });
+  }
+
+  return err(405, "method-not-allowed");
+}
+
 export class MailboxDO extends DurableObject {
   constructor(ctx, env) {
     super(ctx, env);
     this.ctx = ctx;
     this.env = env;
-    this.latest = null;
-    this.pending = [];
+    this.sql = ctx.storage.sql;
+    this.owner = null;
+    this.ownerKey = null;
 
     this.ready = this.ctx.blockConcurrencyWhile(async () => {
-      this.latest = await this.ctx.storage.get("latest");
-      this.pending = (await this.ctx.storage.get("pending")) || [];
-      if (!Array.isArray(this.pending)) this.pending = [];
-      this.pending = this.pending
-        .filter((x) => x && typeof x === "object")
-        .map((x) => ({
-          clipId: typeof x.clipId === "string" ? x.clipId : "",
-          expiresAt: Number.isFinite(x.expiresAt) ? x.expiresAt : Number(x.expiresAt) || 0,
-          keys: Array.isArray(x.keys) ? x.keys.filter((k) => typeof k === "string") : [],
-        }))
-        .filter((x) => x.clipId && x.expiresAt > 0 && x.keys.length);
+      this.sql.exec(`CREATE TABLE IF NOT EXISTS clips (
+        id TEXT PRIMARY KEY,
+        stored_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        clip TEXT NOT NULL,
+        revoke_hash TEXT
+      )`);
+      this.sql.exec(`CREATE TABLE IF NOT EXISTS downloads (
+        clip_id TEXT NOT NULL,
+        r2_key TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (clip_id, r2_key)
+      )`);
+      this.sql.exec(`CREATE TABLE IF NOT EXISTS device_keys (
+        device_id TEXT PRIMARY KEY,
+        public_key TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`);
+      this.sql.exec(`CREATE TABLE IF NOT EXISTS deliveries (
+        clip_id TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        delivered_at INTEGER,
+        opened_at INTEGER,
+        PRIMARY KEY (clip_id, device_id)
+      )`);
+      this.sql.exec(`CREATE TABLE IF NOT EXISTS outgoing (
+        clip_id TEXT PRIMARY KEY,
+        receiver_id TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )`);
+      this.sql.exec(`CREATE TABLE IF NOT EXISTS receipts (
+        clip_id TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        delivered_at INTEGER,
+        opened_at INTEGER,
+        PRIMARY KEY (clip_id, device_id)
+      )`);
+      this.sql.exec(`CREATE TABLE IF NOT EXISTS devices (
+        device_id TEXT PRIMARY KEY,
+        name TEXT,
+        last_seen INTEGER NOT NULL
+      )`);
+      this.sql.exec(`CREATE TABLE IF NOT EXISTS push_subscriptions (
+        device_id TEXT PRIMARY KEY,
+        endpoint TEXT NOT NULL,
+        p256dh TEXT NOT NULL,
+        auth TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        locale TEXT
+      )`);
+      // Subscriptions stored before notifications were localized lack the column.
+      const pushColumns = this.sql.exec("PRAGMA table_info(push_subscriptions)").toArray();
+      if (!pushColumns.some((c) => c.name === "locale")) {
+        this.sql.exec("ALTER TABLE push_subscriptions ADD COLUMN locale TEXT");
+      }
 
+      this.owner = (await this.ctx.storage.get("owner")) || null;
+      await this._migrateLegacyStorage();
       await this._cleanupIfExpired();
     });
   }
@@ -193,9 +829,38 @@ export class MailboxDO extends DurableObject {
     if (url.pathname === "/ws") return this._handleWS(request);
     if (url.pathname === "/clip" && request.method === "POST") return this._handleClip(request);
     if (url.pathname === "/delete" && request.method === "POST") return this._handleDelete(request);
-    if (url.pathname === "/get") return ok({ latest: this.latest || null });
+    if (url.pathname === "/keys") return ok({ keys: this._listDeviceKeys() });
+    if (url.pathname === "/downloaded" && request.method === "POST") return this._handleDownloaded(request);
+    if (url.pathname === "/outgoing" && request.method === "POST") return this._handleOutgoing(request);
+    if (url.pathname === "/outgoing" && request.method === "DELETE") {
+      const body = await request.json().catch(() => null);
+      if (!isClipId(body?.clipId)) return err(400, "bad-outgoing");
+      this.sql.exec("DELETE FROM outgoing WHERE clip_id = ?", body.clipId);
+      this.sql.exec("DELETE FROM receipts WHERE clip_id = ?", body.clipId);
+      return ok({ dropped: true });
+    }
+    if (url.pathname === "/receipt" && request.method === "POST") return this._handleReceipt(request);
+    if (url.pathname === "/live" && request.method === "POST") {
+      const body = await request.json().catch(() => null);
+      if (!Array.isArray(body?.keys)) return err(400, "missing-keys");
 
-    return err(404, "DO: not found.");
+      await this._cleanupIfExpired();
+      const live = new Set(this._listEntries().flatMap((entry) => this._collectKeysFromClip(entry.clip)));
+      return ok({ live: body.keys.filter((k) => live.has(k)) });
+    }
+    if (url.pathname === "/get" || url.pathname === "/history") {
+      const action = url.pathname.slice(1);
+      const ts = Number(url.searchParams.get("ts"));
+      const proof = url.searchParams.get("proof");
+      if (!(await this._verifyTimedProof(action, ts, proof))) return err(403, "owner-proof");
+
+      await this._cleanupIfExpired();
+      const items = await this._historyForClient(url.searchParams.get("device"));
+      if (action === "get") return ok({ latest: items[0] || null });
+      return ok({ items });
+    }
+
+    return err(404, "not-found");
   }
 
   async alarm() {
@@ -210,163 +875,520 @@ export class MailboxDO extends DurableObject {
         typeof message === "string" ? message : new TextDecoder().decode(new Uint8Array(message));
       const msg = JSON.parse(text);
       if (msg?.type === "ping") ws.send(JSON.stringify({ type: "pong", now: Date.now() }));
+      else if (msg?.type === "claim") await this._handleClaim(ws, msg);
+      else if (msg?.type === "auth") await this._handleAuth(ws, msg);
+      else if (msg?.type === "publish-key") this._handlePublishKey(ws, msg);
+      else if (msg?.type === "set-name") this._handleSetName(ws, msg);
+      else if (msg?.type === "push-subscribe") this._handlePushSubscribe(ws, msg);
+      else if (msg?.type === "push-unsubscribe") this._handlePushUnsubscribe(ws);
     } catch {}
   }
 
   async webSocketClose(ws, code, reason, wasClean) {
+    await this.ready;
     try {
       if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CLOSING) ws.close(code, reason);
     } catch {}
+
+    const att = this._attachment(ws);
+    if (att.authed) {
+      this._touchDevice(att.deviceId);
+      this._broadcastPresence(ws);
+    }
   }
 
   async webSocketError(ws, error) {}
 
-  _validR2Key(k) {
-    return typeof k === "string" && k.startsWith(KEY_PREFIX) && !k.includes("..") && k.length < 512;
-  }
-
-  _collectKeysFromClip(clip) {
-    const out = [];
-    const parts = clip?.parts || [];
-    for (const p of parts) {
-      const k = p?.r2Key;
-      if (this._validR2Key(k)) out.push(k);
+  _attachment(ws) {
+    try {
+      return ws.deserializeAttachment() || {};
+    } catch {
+      return {};
     }
-    return [...new Set(out)];
   }
 
-  async _deleteR2Keys(keys) {
-    const safe = (keys || []).filter((k) => this._validR2Key(k));
-    if (!safe.length) return;
-    await Promise.allSettled(safe.map((k) => this.env.CLIP_BUCKET.delete(k)));
+  async _getOwnerKey() {
+    if (!this.owner?.secretB64) return null;
+    if (!this.ownerKey) {
+      this.ownerKey = await crypto.subtle.importKey(
+        "raw",
+        b64ToBytes(this.owner.secretB64),
+        { name: "HMAC", hash: "SHA-256" },
+        false,
+        ["verify"]
+      );
+    }
+    return this.ownerKey;
   }
 
-  _nextAlarmAt() {
-    const times = [];
-    if (this.latest?.expiresAt) times.push(this.latest.expiresAt);
-    for (const x of this.pending) {
-      if (x?.expiresAt) times.push(x.expiresAt);
+  async _verifyProof(message, proofB64) {
+    if (typeof proofB64 !== "string" || !proofB64) return false;
+    const key = await this._getOwnerKey();
+    if (!key) return false;
+    try {
+      return await crypto.subtle.verify("HMAC", key, b64ToBytes(proofB64), new TextEncoder().encode(message));
+    } catch {
+      return false;
     }
-    if (!times.length) return null;
-    return Math.min(...times);
   }
 
-  async _syncAlarm() {
-    const next = this._nextAlarmAt();
-    if (next) await this.ctx.storage.setAlarm(next);
-    else await this.ctx.storage.deleteAlarm();
+  async _verifyTimedProof(action, ts, proofB64, subject = "") {
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > OWNER_PROOF_WINDOW_MS) return false;
+    const message = subject ? `${action}:${ts}:${subject}` : `${action}:${ts}`;
+    return this._verifyProof(message, proofB64);
   }
 
-  async _handleWS(request) {
-    if (request.headers.get("Upgrade")?.toLowerCase() !== "websocket") {
-      return err(426, "Expected WebSocket Upgrade.");
+  async _handleClaim(ws, msg) {
+    if (this.owner) {
+      ws.send(JSON.stringify({ type: "auth-failed", reason: "claimed" }));
+      return;
     }
 
-    const url = new URL(request.url);
-    const deviceId = url.searchParams.get("device") || crypto.randomUUID();
-    const tag = `device:${deviceId}`;
+    let secret;
+    try {
+      secret = b64ToBytes(msg.secretB64 || "");
+    } catch {
+      secret = new Uint8Array();
+    }
+    if (secret.length < 32 || secret.length > 64) {
+      ws.send(JSON.stringify({ type: "auth-failed", reason: "bad-secret" }));
+      return;
+    }
+
+    this.owner = { secretB64: bytesToB64(secret), claimedAt: Date.now() };
+    this.ownerKey = null;
+    await this.ctx.storage.put("owner", this.owner);
+
+    await this._onAuthed(ws);
+  }
+
+  async _handleAuth(ws, msg) {
+    const att = this._attachment(ws);
+    if (att.authed) return;
 
-    const old = this.ctx.getWebSockets(tag);
-    for (const ws of old) {
+    if (!att.nonce || !(await this._verifyProof(`ws:${att.nonce}`, msg.proof))) {
+      ws.send(JSON.stringify({ type: "auth-failed", reason: this.owner ? "bad-proof" : "unclaimed" }));
       try {
-        ws.close(1000, "replaced");
+        ws.close(4001, "unauthorized");
       } catch {}
+      return;
     }
 
-    const pair = new WebSocketPair();
-    const client = pair[0];
-    const server = pair[1];
+    await this._onAuthed(ws);
+  }
 
-    this.ctx.acceptWebSocket(server, [tag]);
+  async _onAuthed(ws) {
+    const att = this._attachment(ws);
     try {
-      server.serializeAttachment({ deviceId });
+      ws.serializeAttachment({ ...att, authed: true });
     } catch {}
 
-    server.send(JSON.stringify({ type: "hello", deviceId, now: Date.now() }));
+    for (const other of this.ctx.getWebSockets(`device:${att.deviceId}`)) {
+      if (other === ws) continue;
+      try {
+        other.close(1000, "replaced");
+      } catch {}
+    }
+
+    this._touchDevice(att.deviceId);
+    ws.send(
+      JSON.stringify({
+        type: "authed",
+        deviceId: att.deviceId,
+        name: this._deviceName(att.deviceId),
+        pushKey: vapidKeys(this.env)?.publicKey || null,
+      })
+    );
 
     await this._cleanupIfExpired();
-    if (this.latest) {
-      server.send(JSON.stringify({ type: "clip", clip: this.latest.clip, expiresAt: this.latest.expiresAt }));
-    } else {
-      server.send(JSON.stringify({ type: "idle" }));
+    const items = await this._historyForClient(att.deviceId);
+    ws.send(JSON.stringify({ type: "history", items }));
+    for (const item of items) this._recordDelivery(item.clip, att.deviceId, "delivered");
+    for (const row of this.sql.exec("SELECT clip_id FROM outgoing").toArray()) {
+      ws.send(JSON.stringify(this._receiptMessage(row.clip_id)));
     }
-
-    return new Response(null, { status: 101, webSocket: client });
+    this._broadcastPresence();
   }
 
-  async _handleClip(request) {
-    const body = await request.json().catch(() => null);
-    if (!body?.clip) return err(400, "Missing clip.");
+  _handleSetName(ws, msg) {
+    const att = this._attachment(ws);
+    if (!att.authed || typeof msg.name !== "string") return;
 
-    const clip = body.clip;
+    const name = msg.name.trim().slice(0, DEVICE_NAME_MAX_CHARS);
+    this._touchDevice(att.deviceId);
+    this.sql.exec("UPDATE devices SET name = ? WHERE device_id = ?", name || null, att.deviceId);
+    this._broadcastPresence();
+  }
 
-    if (typeof clip.id !== "string" || clip.id.length < 8) return err(400, "Invalid clip.id");
-    if (typeof clip.ts !== "number") clip.ts = Date.now();
-    if (!Array.isArray(clip.parts)) clip.parts = [];
+  _touchDevice(deviceId) {
+    this.sql.exec(
+      "INSERT INTO devices (device_id, last_seen) VALUES (?, ?) ON CONFLICT (device_id) DO UPDATE SET last_seen = excluded.last_seen",
+      deviceId,
+      Date.now()
+    );
+    this.sql.exec(
+      "DELETE FROM devices WHERE device_id IN (SELECT device_id FROM devices ORDER BY last_seen DESC LIMIT -1 OFFSET ?)",
+      DEVICES_LIMIT
+    );
+    this.sql.exec("DELETE FROM push_subscriptions WHERE device_id NOT IN (SELECT device_id FROM devices)");
+  }
 
-    clip.parts = clip.parts
-      .filter((p) => p && typeof p === "object")
-      .map((p) => {
-        const kind = p.kind === "image" ? "image" : "message";
-        const r2Key = typeof p.r2Key === "string" ? p.r2Key : "";
-        const sizeNum = Number.isFinite(p.size) ? p.size : Number(p.size) || 0;
+  _deviceName(deviceId) {
+    const rows = this.sql.exec("SELECT name FROM devices WHERE device_id = ?", deviceId).toArray();
+    return rows[0]?.name || null;
+  }
 
-        const mime =
-          typeof p.mime === "string"
-            ? p.mime
-            : kind === "image"
-              ? "image/*"
-              : "text/plain; charset=utf-8";
+  // Every device that has authenticated recently, with `online` set for the
+  // ones holding an open socket. `closing` is left out of the online set.
+  _listDevices(closing = null) {
+    const online = new Set();
+    for (const ws of this.ctx.getWebSockets()) {
+      if (ws === closing) continue;
+      const att = this._attachment(ws);
+      if (att.authed) online.add(att.deviceId);
+    }
 
-        const filename = typeof p.filename === "string" ? p.filename : undefined;
+    return this.sql
+      .exec("SELECT device_id, name, last_seen FROM devices ORDER BY last_seen DESC")
+      .toArray()
+      .map((row) => ({
+        deviceId: row.device_id,
+        name: row.name || null,
+        online: online.has(row.device_id),
+        lastSeen: row.last_seen,
+      }));
+  }
 
-        const enc =
-          p.enc && typeof p.enc === "object" && typeof p.enc.ivB64 === "string"
-            ? { ivB64: p.enc.ivB64 }
-            : null;
+  _broadcastPresence(closing = null) {
+    this._broadcast({ type: "presence", devices: this._listDevices(closing) });
+  }
 
-        const out = { kind, r2Key, mime, size: sizeNum, enc };
-        if (filename) out.filename = filename;
-        return out;
-      })
-      .filter((p) => {
-        return (
-          typeof p.r2Key === "string" &&
-          p.r2Key.startsWith(KEY_PREFIX) &&
-          !p.r2Key.includes("..") &&
-          p.r2Key.length < 512
-        );
-      });
+  _handlePublishKey(ws, msg) {
+    const att = this._attachment(ws);
+    if (!att.authed) return;
 
-    for (const p of clip.parts) {
+    let publicKey;
+    try {
+      publicKey = b64ToBytes(msg.publicKeyB64 || "");
+    } catch {
+      publicKey = new Uint8Array();
+    }
+    if (publicKey.length !== 32) return;
+
+    this.sql.exec(
+      "INSERT OR REPLACE INTO device_keys (device_id, public_key, updated_at) VALUES (?, ?, ?)",
+      att.deviceId,
+      bytesToB64(publicKey),
+      Date.now()
+    );
+    this.sql.exec(
+      "DELETE FROM device_keys WHERE device_id IN (SELECT device_id FROM device_keys ORDER BY updated_at DESC LIMIT -1 OFFSET ?)",
+      DEVICE_KEYS_LIMIT
+    );
+
+    ws.send(JSON.stringify({ type: "key-published", deviceId: att.deviceId }));
+  }
+
+  _handlePushSubscribe(ws, msg) {
+    const att = this._attachment(ws);
+    if (!att.authed) return;
+
+    const sub = parseSubscription(msg.subscription);
+    if (!sub) {
+      ws.send(JSON.stringify({ type: "push", enabled: false, error: "Invalid push subscription." }));
+      return;
+    }
+    this._touchDevice(att.deviceId);
+    this.sql.exec(
+      "INSERT OR REPLACE INTO push_subscriptions (device_id, endpoint, p256dh, auth, updated_at, locale) VALUES (?, ?, ?, ?, ?, ?)",
+      att.deviceId,
+      sub.endpoint,
+      sub.p256dh,
+      sub.auth,
+      Date.now(),
+      typeof msg.locale === "string" ? pickLocale([msg.locale]) : DEFAULT_LOCALE
+    );
+    ws.send(JSON.stringify({ type: "push", enabled: true }));
+  }
+
+  _handlePushUnsubscribe(ws) {
+    const att = this._attachment(ws);
+    if (!att.authed) return;
+
+    this.sql.exec("DELETE FROM push_subscriptions WHERE device_id = ?", att.deviceId);
+    ws.send(JSON.stringify({ type: "push", enabled: false }));
+  }
+
+  _listDeviceKeys() {
+    return this.sql
+      .exec("SELECT device_id, public_key, updated_at FROM device_keys ORDER BY updated_at DESC")
+      .toArray()
+      .map((row) => ({ deviceId: row.device_id, publicKeyB64: row.public_key, updatedAt: row.updated_at }));
+  }
+
+  async _migrateLegacyStorage() {
+    const latest = await this.ctx.storage.get("latest");
+    const pending = await this.ctx.storage.get("pending");
+    if (!latest && !pending) return;
+
+    if (latest?.clip?.id && latest.expiresAt) {
+      this.sql.exec(
+        "INSERT OR IGNORE INTO clips (id, stored_at, expires_at, clip, revoke_hash) VALUES (?, ?, ?, ?, ?)",
+        latest.clip.id,
+        latest.clip.ts || Date.now(),
+        latest.expiresAt,
+        JSON.stringify(latest.clip),
+        latest.revokeHash || null
+      );
+    }
+    if (Array.isArray(pending)) {
+      await this._deleteR2Keys(pending.flatMap((x) => (Array.isArray(x?.keys) ? x.keys : [])));
+    }
+
+    await this.ctx.storage.delete(["latest", "pending"]);
+  }
+
+  _rowToEntry(row) {
+    return { clip: JSON.parse(row.clip), expiresAt: row.expires_at, revokeHash: row.revoke_hash || null };
+  }
+
+  _getEntry(clipId) {
+    const rows = this.sql.exec("SELECT * FROM clips WHERE id = ?", clipId).toArray();
+    return rows.length ? this._rowToEntry(rows[0]) : null;
+  }
+
+  _listEntries() {
+    return this.sql
+      .exec("SELECT * FROM clips WHERE expires_at > ? ORDER BY stored_at DESC", Date.now())
+      .toArray()
+      .map((row) => this._rowToEntry(row));
+  }
+
+  // Clips addressed to one device are only listed for that device; a
+  // missing deviceId (owner HTTP lookups) lists everything.
+  async _historyForClient(deviceId = null) {
+    const items = [];
+    for (const entry of this._listEntries()) {
+      if (deviceId && entry.clip.to && entry.clip.to !== deviceId) continue;
+      items.push({ clip: await this._clipForClient(entry, deviceId), expiresAt: entry.expiresAt });
+    }
+    return items;
+  }
+
+  // Tickets signed for a device carry its ID so finished downloads can be
+  // reported back to the sender as reads.
+  async _clipForClient(entry, deviceId = null) {
+    if (!hasTicketSecret(this.env)) return entry.clip;
+
+    const parts = [];
+    for (const p of entry.clip.parts || []) {
+      const payload = { m: "get", k: p.r2Key, c: entry.clip.id, e: entry.expiresAt };
+      if (!p.enc) payload.f = p.kind === "message" ? messageFilename(p) : p.filename;
+      if (entry.clip.maxDownloads) payload.d = 1;
+      if (entry.clip.receipts && deviceId) payload.v = deviceId;
+      parts.push({ ...p, ticket: await signTicket(this.env, payload) });
+    }
+    return { ...entry.clip, parts };
+  }
+
+  _validR2Key(k) {
+    return typeof k === "string" && k.startsWith(KEY_PREFIX) && !k.includes("..") && k.length < 512;
+  }
+
+  _collectKeysFromClip(clip) {
+    const out = [];
+    const parts = clip?.parts || [];
+    for (const p of parts) {
+      const k = p?.r2Key;
+      if (this._validR2Key(k)) out.push(k);
+    }
+    return [...new Set(out)];
+  }
+
+  async _deleteR2Keys(keys) {
+    const safe = (keys || []).filter((k) => this._validR2Key(k));
+    if (!safe.length) return;
+    await Promise.allSettled(safe.map((k) => this.env.CLIP_BUCKET.delete(k)));
+  }
+
+  _nextAlarmAt() {
+    return this.sql.exec("SELECT MIN(expires_at) AS next FROM clips").one().next;
+  }
+
+  async _syncAlarm() {
+    const next = this._nextAlarmAt();
+    if (next) await this.ctx.storage.setAlarm(next);
+    else await this.ctx.storage.deleteAlarm();
+  }
+
+  async _handleWS(request) {
+    if (request.headers.get("Upgrade")?.toLowerCase() !== "websocket") {
+      return err(426, "expected-websocket");
+    }
+
+    const url = new URL(request.url);
+    const deviceId = url.searchParams.get("device") || crypto.randomUUID();
+    const tag = `device:${deviceId}`;
+    const nonce = bytesToB64(crypto.getRandomValues(new Uint8Array(16)));
+
+    const pair = new WebSocketPair();
+    const client = pair[0];
+    const server = pair[1];
+
+    this.ctx.acceptWebSocket(server, [tag]);
+    try {
+      server.serializeAttachment({ deviceId, nonce, authed: false });
+    } catch {}
+
+    server.send(JSON.stringify({ type: "hello", deviceId, nonce, claimed: !!this.owner, now: Date.now() }));
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  async _handleClip(request) {
+    const body = await request.json().catch(() => null);
+    if (!body?.clip) return err(400, "missing-clip");
+
+    const clip = body.clip;
+    const revokeHash =
+      typeof clip.revokeHash === "string" && clip.revokeHash.length <= 64 ? clip.revokeHash : null;
+    delete clip.revokeHash;
+
+    if (typeof clip.id !== "string" || clip.id.length < 8) return err(400, "bad-clip-id");
+    if (typeof clip.ts !== "number") clip.ts = Date.now();
+
+    const ttlMs = clipTtlMs(this.env, clip.ttlSec);
+    delete clip.ttlSec;
+
+    clip.burn = clip.burn === true;
+    if (clip.burn) clip.maxDownloads = 1;
+    else if (Number.isSafeInteger(clip.maxDownloads) && clip.maxDownloads > 0) {
+      clip.maxDownloads = Math.min(MAX_DOWNLOADS_LIMIT, clip.maxDownloads);
+    } else delete clip.maxDownloads;
+    if (!Array.isArray(clip.parts)) clip.parts = [];
+
+    if (clip.receipts !== true) delete clip.receipts;
+    if (clip.to === undefined || clip.to === null || clip.to === "") delete clip.to;
+    else if (!isDeviceId(clip.to)) return err(400, "bad-target");
+
+    let manifest = null;
+    if (clip.manifest !== undefined && clip.manifest !== null) {
+      const m = clip.manifest;
+      if (
+        !clip.enc ||
+        typeof m !== "object" ||
+        typeof m.ivB64 !== "string" ||
+        m.ivB64.length > 24 ||
+        typeof m.dataB64 !== "string" ||
+        m.dataB64.length > MANIFEST_MAX_CHARS
+      ) {
+        return err(400, "bad-manifest");
+      }
+      manifest = { ivB64: m.ivB64, dataB64: m.dataB64 };
+    }
+    if (manifest) clip.manifest = manifest;
+    else delete clip.manifest;
+
+    clip.parts = clip.parts
+      .filter((p) => p && typeof p === "object")
+      .map((p) => {
+        const kind = p.kind === "image" || p.kind === "file" ? p.kind : "message";
+        const r2Key = typeof p.r2Key === "string" ? p.r2Key : "";
+        const sizeNum = Number.isFinite(p.size) ? p.size : Number(p.size) || 0;
+
+        const mime =
+          typeof p.mime === "string"
+            ? p.mime
+            : kind === "image"
+              ? "image/*"
+              : kind === "file"
+                ? "application/octet-stream"
+                : "text/plain; charset=utf-8";
+
+        const filename = typeof p.filename === "string" ? p.filename.slice(0, 255) : undefined;
+
+        let enc = null;
+        if (p.enc && typeof p.enc === "object" && typeof p.enc.nonceB64 === "string" && p.enc.nonceB64.length <= 16) {
+          enc = { nonceB64: p.enc.nonceB64 };
+        } else if (p.enc && typeof p.enc === "object" && typeof p.enc.ivB64 === "string") {
+          enc = { ivB64: p.enc.ivB64 };
+        } else if (
+          p.enc &&
+          typeof p.enc === "object" &&
+          Array.isArray(p.enc.ivs) &&
+          p.enc.ivs.length <= MULTIPART_MAX_PARTS &&
+          p.enc.ivs.every((iv) => typeof iv === "string" && iv.length <= 32) &&
+          Number.isSafeInteger(p.enc.partBytes)
+        ) {
+          enc = { ivs: p.enc.ivs, partBytes: p.enc.partBytes };
+        }
+
+        // With an encrypted manifest the parts stay opaque: kind, mime and
+        // filename live only inside the ciphertext.
+        const out = manifest ? { r2Key, size: sizeNum, enc } : { kind, r2Key, mime, size: sizeNum, enc };
+        if (filename && !manifest) out.filename = filename;
+        if (kind === "message" && !manifest) Object.assign(out, messageFormat(p));
+        if (typeof p.ticket === "string") out.ticket = p.ticket;
+        return out;
+      })
+      .filter((p) => {
+        return (
+          typeof p.r2Key === "string" &&
+          p.r2Key.startsWith(KEY_PREFIX) &&
+          !p.r2Key.includes("..") &&
+          p.r2Key.length < 512
+        );
+      });
+
+    for (const p of clip.parts) {
       if (p.kind === "image" && typeof p.mime === "string") {
-        if (p.mime.toLowerCase().includes("image/svg+xml")) return err(400, "SVG images are not allowed.");
+        if (p.mime.toLowerCase().includes("image/svg+xml")) return err(400, "svg-image");
+      }
+    }
+
+    if (!clip.parts.length) return err(400, "no-parts");
+    for (const p of clip.parts) {
+      const ticket = await verifyTicket(this.env, p.ticket, MULTIPART_TICKET_TTL_MS);
+      delete p.ticket;
+      if (
+        !ticket ||
+        ticket.m !== "put" ||
+        ticket.k !== p.r2Key ||
+        ticket.c !== clip.id ||
+        ticket.r !== body.receiverId
+      ) {
+        return err(403, "unissued-part");
       }
+
+      const obj = await this.env.CLIP_BUCKET.head(p.r2Key);
+      if (!obj) return err(400, "part-not-uploaded");
+      p.size = obj.size;
     }
 
     return await this.ctx.blockConcurrencyWhile(async () => {
+      if (this._getEntry(clip.id)) return err(409, "clip-exists");
+
       const now = Date.now();
+      const expiresAt = now + ttlMs;
+      const entry = { clip, expiresAt, revokeHash };
 
-      const prev = this.latest;
-      if (prev?.clip?.id && prev?.expiresAt) {
-        const keys = this._collectKeysFromClip(prev.clip);
-        if (keys.length) {
-          if (prev.expiresAt <= now) {
-            await this._deleteR2Keys(keys);
-          } else {
-            this.pending.push({ clipId: prev.clip.id, expiresAt: prev.expiresAt, keys });
-            await this.ctx.storage.put("pending", this.pending);
-          }
-        }
-      }
+      this.sql.exec(
+        "INSERT INTO clips (id, stored_at, expires_at, clip, revoke_hash) VALUES (?, ?, ?, ?, ?)",
+        clip.id,
+        now,
+        expiresAt,
+        JSON.stringify(clip),
+        revokeHash
+      );
 
-      const expiresAt = now + TTL_MS;
-      this.latest = { clip, expiresAt };
+      await this._deliverClip(entry);
 
-      await this.ctx.storage.put("latest", this.latest);
-      await this._syncAlarm();
+      const evicted = this.sql
+        .exec("SELECT id FROM clips ORDER BY stored_at DESC LIMIT -1 OFFSET ?", HISTORY_LIMIT)
+        .toArray();
+      for (const row of evicted) await this._deleteClip(row.id, "evicted");
 
-      this._broadcast({ type: "clip", clip, expiresAt });
+      await this._cleanupIfExpired();
 
       return ok({ stored: true, expiresAt });
     });
@@ -375,57 +1397,247 @@ export class MailboxDO extends DurableObject {
   async _handleDelete(request) {
     const body = await request.json().catch(() => null);
     const clipId = body?.clipId;
-    if (typeof clipId !== "string") return err(400, "Missing clipId.");
+    if (typeof clipId !== "string") return err(400, "missing-clip-id");
 
-    if (!this.latest || this.latest.clip?.id !== clipId) {
-      return ok({ deleted: false, reason: "no-match" });
-    }
+    const entry = this._getEntry(clipId);
+    if (!entry) return ok({ deleted: false, reason: "no-match" });
+
+    const byOwner = await this._verifyTimedProof("delete", Number(body.ts), body.proof, clipId);
+    const bySender =
+      !byOwner &&
+      typeof body.revokeToken === "string" &&
+      !!entry.revokeHash &&
+      (await sha256B64(body.revokeToken)) === entry.revokeHash;
+    if (!byOwner && !bySender) return err(403, "delete-forbidden");
 
-    await this._deleteLatest("manual");
+    await this._deleteClip(clipId, "manual");
     await this._syncAlarm();
     return ok({ deleted: true });
   }
 
+  async _handleDownloaded(request) {
+    const body = await request.json().catch(() => null);
+    const entry = typeof body?.clipId === "string" ? this._getEntry(body.clipId) : null;
+    if (!entry) return ok({ counted: false });
+
+    const keys = this._collectKeysFromClip(entry.clip);
+    if (!keys.includes(body.key)) return ok({ counted: false });
+
+    if (isDeviceId(body.deviceId)) this._recordDelivery(entry.clip, body.deviceId, "opened");
+    if (!entry.clip.maxDownloads) return ok({ counted: false });
+
+    this.sql.exec(
+      "INSERT INTO downloads (clip_id, r2_key, count) VALUES (?, ?, 1) ON CONFLICT (clip_id, r2_key) DO UPDATE SET count = count + 1",
+      entry.clip.id,
+      body.key
+    );
+
+    // A clip counts as read once every part has been fully downloaded.
+    const counts = new Map(
+      this.sql
+        .exec("SELECT r2_key, count FROM downloads WHERE clip_id = ?", entry.clip.id)
+        .toArray()
+        .map((row) => [row.r2_key, row.count])
+    );
+    const reads = Math.min(...keys.map((k) => counts.get(k) || 0));
+    if (reads >= entry.clip.maxDownloads) {
+      await this._deleteClip(entry.clip.id, entry.clip.burn ? "burned" : "max-downloads");
+      await this._syncAlarm();
+    }
+
+    return ok({ counted: true, reads });
+  }
+
   async _cleanupIfExpired(fromAlarm = false) {
     const now = Date.now();
+    const due = this.sql.exec("SELECT id FROM clips WHERE expires_at <= ?", now).toArray();
+    for (const row of due) {
+      await this._deleteClip(row.id, fromAlarm ? "ttl-alarm" : "ttl");
+    }
 
-    if (this.pending?.length) {
-      const due = [];
-      const keep = [];
-      for (const x of this.pending) {
-        if (x?.expiresAt && x.expiresAt <= now) due.push(x);
-        else keep.push(x);
-      }
-      if (due.length) {
-        const keys = due.flatMap((x) => x.keys || []);
-        await this._deleteR2Keys(keys);
-        this.pending = keep;
-        await this.ctx.storage.put("pending", this.pending);
+    this.sql.exec("DELETE FROM receipts WHERE clip_id IN (SELECT clip_id FROM outgoing WHERE expires_at <= ?)", now);
+    this.sql.exec("DELETE FROM outgoing WHERE expires_at <= ?", now);
+
+    await this._syncAlarm();
+  }
+
+  async _deleteClip(clipId, reason) {
+    const entry = this._getEntry(clipId);
+    if (!entry) return;
+
+    this.sql.exec("DELETE FROM clips WHERE id = ?", clipId);
+    this.sql.exec("DELETE FROM downloads WHERE clip_id = ?", clipId);
+    this.sql.exec("DELETE FROM deliveries WHERE clip_id = ?", clipId);
+
+    const keys = this._collectKeysFromClip(entry.clip);
+    await this._deleteR2Keys(keys);
+
+    this._broadcast({ type: "deleted", clipId, reason });
+    if (entry.clip.receipts && isMailboxId(entry.clip.fromUser)) {
+      this._relayToSender(entry.clip, { clipId, event: "deleted", reason });
+    }
+  }
+
+  // Sends a new clip to every authenticated socket it is addressed to, each
+  // with tickets signed for its device, and records the deliveries.
+  async _deliverClip(entry) {
+    const sockets = this.ctx.getWebSockets(entry.clip.to ? `device:${entry.clip.to}` : undefined);
+    const perDevice = new Map();
+    for (const ws of sockets) {
+      const { authed, deviceId } = this._attachment(ws);
+      if (!authed) continue;
+      if (!perDevice.has(deviceId)) {
+        const clip = await this._clipForClient(entry, deviceId);
+        perDevice.set(deviceId, JSON.stringify({ type: "clip", clip, expiresAt: entry.expiresAt }));
       }
+      try {
+        ws.send(perDevice.get(deviceId));
+      } catch {}
     }
+    for (const deviceId of perDevice.keys()) this._recordDelivery(entry.clip, deviceId, "delivered");
+    this._pushClip(entry, perDevice);
+  }
 
-    if (this.latest?.expiresAt && this.latest.expiresAt <= now) {
-      await this._deleteLatest(fromAlarm ? "ttl-alarm" : "ttl");
+  // Notifies subscribed devices that were not reached over a socket. The
+  // payload only names the sender, with the notification text in the
+  // subscriber's language; the page fetches the clip when opened.
+  _pushClip(entry, reached) {
+    const vapid = vapidKeys(this.env);
+    if (!vapid) return;
+
+    const { clip } = entry;
+    const fromUser = isMailboxId(clip.fromUser) ? clip.fromUser : null;
+    const ttl = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+    const rows = this.sql.exec("SELECT device_id, endpoint, p256dh, auth, locale FROM push_subscriptions").toArray();
+    for (const row of rows) {
+      if (reached.has(row.device_id) || row.device_id === clip.fromDevice) continue;
+      if (clip.to && row.device_id !== clip.to) continue;
+
+      const body = translate(row.locale, fromUser ? "push.newClipFrom" : "push.newClip", { from: fromUser });
+      const payload = { type: "clip", clipId: clip.id, fromUser, body };
+      this.ctx.waitUntil(
+        sendWebPush(row, payload, vapid, { ttl })
+          .then((status) => {
+            if (status !== 404 && status !== 410) return;
+            this.sql.exec(
+              "DELETE FROM push_subscriptions WHERE device_id = ? AND endpoint = ?",
+              row.device_id,
+              row.endpoint
+            );
+          })
+          .catch(() => {})
+      );
     }
+  }
 
-    await this._syncAlarm();
+  // Receiver side: notes the first delivery and first full read per device
+  // and relays each to the sender's mailbox.
+  _recordDelivery(clip, deviceId, event) {
+    if (!clip.receipts || !isMailboxId(clip.fromUser) || deviceId === clip.fromDevice) return;
+
+    const column = event === "opened" ? "opened_at" : "delivered_at";
+    const now = Date.now();
+    this.sql.exec("INSERT OR IGNORE INTO deliveries (clip_id, device_id) VALUES (?, ?)", clip.id, deviceId);
+    const changed = this.sql.exec(
+      `UPDATE deliveries SET ${column} = ?, delivered_at = COALESCE(delivered_at, ?) WHERE clip_id = ? AND device_id = ? AND ${column} IS NULL`,
+      now,
+      now,
+      clip.id,
+      deviceId
+    ).rowsWritten;
+    if (changed) this._relayToSender(clip, { clipId: clip.id, deviceId, event, at: now });
   }
 
-  async _deleteLatest(reason) {
-    const latest = this.latest;
-    this.latest = null;
+  _relayToSender(clip, receipt) {
+    const sender = this.env.MAILBOX.get(this.env.MAILBOX.idFromName(clip.fromUser));
+    this.ctx.waitUntil(
+      sender
+        .fetch("https://do/receipt", {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify(receipt),
+        })
+        .catch(() => {})
+    );
+  }
 
-    await this.ctx.storage.delete("latest");
+  // Sender side: remembers a clip this mailbox's owner sent so receipts for
+  // it are accepted.
+  async _handleOutgoing(request) {
+    const body = await request.json().catch(() => null);
+    if (!isClipId(body?.clipId) || !isMailboxId(body.receiverId)) return err(400, "bad-outgoing");
+    if (!(await this._verifyTimedProof("receipts", Number(body.ts), body.proof, body.clipId))) {
+      return ok({ registered: false });
+    }
 
-    const keys = this._collectKeysFromClip(latest?.clip);
-    await this._deleteR2Keys(keys);
+    this.sql.exec(
+      "INSERT OR REPLACE INTO outgoing (clip_id, receiver_id, expires_at) VALUES (?, ?, ?)",
+      body.clipId,
+      body.receiverId,
+      Number(body.expiresAt) || Date.now() + maxTtlMs(this.env)
+    );
+    const dropped = this.sql
+      .exec("SELECT clip_id FROM outgoing ORDER BY expires_at DESC LIMIT -1 OFFSET ?", OUTGOING_LIMIT)
+      .toArray();
+    for (const row of dropped) {
+      this.sql.exec("DELETE FROM outgoing WHERE clip_id = ?", row.clip_id);
+      this.sql.exec("DELETE FROM receipts WHERE clip_id = ?", row.clip_id);
+    }
+    return ok({ registered: true });
+  }
 
-    this._broadcast({ type: "deleted", clipId: latest?.clip?.id, reason });
+  async _handleReceipt(request) {
+    const body = await request.json().catch(() => null);
+    if (typeof body?.clipId !== "string") return err(400, "bad-receipt");
+
+    const known = this.sql
+      .exec("SELECT receiver_id FROM outgoing WHERE clip_id = ? AND expires_at > ?", body.clipId, Date.now())
+      .toArray()[0];
+    if (!known) return ok({ recorded: false });
+
+    // The receiver dropped the clip: tell our devices so their outboxes can
+    // let go of it, and stop tracking it.
+    if (body.event === "deleted") {
+      this.sql.exec("DELETE FROM outgoing WHERE clip_id = ?", body.clipId);
+      this.sql.exec("DELETE FROM receipts WHERE clip_id = ?", body.clipId);
+      this._broadcast({
+        type: "deleted",
+        clipId: body.clipId,
+        receiverId: known.receiver_id,
+        reason: typeof body.reason === "string" ? body.reason : "deleted",
+      });
+      return ok({ recorded: true });
+    }
+    if (!isDeviceId(body.deviceId)) return err(400, "bad-receipt");
+
+    const at = Number(body.at) || Date.now();
+    const opened = body.event === "opened" ? at : null;
+    this.sql.exec(
+      "INSERT INTO receipts (clip_id, device_id, delivered_at, opened_at) VALUES (?, ?, ?, ?) ON CONFLICT (clip_id, device_id) DO UPDATE SET delivered_at = COALESCE(delivered_at, excluded.delivered_at), opened_at = COALESCE(opened_at, excluded.opened_at)",
+      body.clipId,
+      body.deviceId,
+      at,
+      opened
+    );
+
+    this._broadcast(this._receiptMessage(body.clipId));
+    return ok({ recorded: true });
+  }
+
+  _receiptMessage(clipId) {
+    const row = this.sql
+      .exec(
+        "SELECT o.receiver_id AS receiver_id, COUNT(r.delivered_at) AS delivered, COUNT(r.opened_at) AS opened FROM outgoing o LEFT JOIN receipts r ON r.clip_id = o.clip_id WHERE o.clip_id = ? GROUP BY o.clip_id",
+        clipId
+      )
+      .one();
+    return { type: "receipt", clipId, receiverId: row.receiver_id, delivered: row.delivered, opened: row.opened };
   }
 
   _broadcast(obj) {
     const msg = JSON.stringify(obj);
     for (const ws of this.ctx.getWebSockets()) {
+      if (!this._attachment(ws).authed) continue;
       try {
         ws.send(msg);
       } catch {}
@@ -433,6 +1645,93 @@ export class MailboxDO extends DurableObject {
   }
 }
 
+// Served at /sw.js so its scope covers the whole origin. It keeps the page
+// shell (and its CDN scripts and fonts) for offline start, takes Web Share
+// Target posts into the Cache API for the page to pick up from /?share=1, and
+// shows a notification for each push from the mailbox.
+const SERVICE_WORKER_JS = `const SHARE_CACHE = "netclip-share";
+const SHELL_CACHE = "netclip-shell-v3";
+const SHELL = ["/", "/sdk/netclip.js", "/sdk/mailbox-id.js", "/i18n/messages.js", "/manifest.webmanifest", "/icon.svg"];
+const SHELL_DESTINATIONS = ["document", "script", "style", "font", "manifest", "image"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("netclip-shell-") && k !== SHELL_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  const local = url.origin === self.location.origin;
+  if (request.method === "POST" && local && url.pathname === "/share") {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== "GET" || !SHELL_DESTINATIONS.includes(request.destination)) return;
+  if (local && (url.pathname.startsWith("/api/") || url.pathname === "/ws" || url.pathname === "/sw.js")) return;
+  // Every navigation to the page shares one cached copy, whatever its query.
+  if (request.mode === "navigate" && !(local && url.pathname === "/")) return;
+  event.respondWith(networkFirst(request, request.mode === "navigate" ? "/" : request));
+});
+
+// Live copies win; the cache only answers when the network fails.
+async function networkFirst(request, cacheKey) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok || res.type === "opaque") await cache.put(cacheKey, res.clone());
+    return res;
+  } catch (e) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {}
+  // The mailbox writes the text in the language the page subscribed with.
+  event.waitUntil(
+    self.registration.showNotification("Net Clipboard", { body: data.body || "", tag: data.clipId || "clip", icon: "/icon.svg" })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      if (open) return open.focus();
+      return self.clients.openWindow("/?view=recv");
+    })
+  );
+});
+
+async function receiveShare(request) {
+  const form = await request.formData().catch(() => null);
+  if (!form) return Response.redirect("/?share=lost", 303);
+
+  await caches.delete(SHARE_CACHE);
+  const cache = await caches.open(SHARE_CACHE);
+  const text = ["title", "text", "url"].map((k) => form.get(k)).filter((v) => typeof v === "string" && v).join("\\n");
+  const files = form.getAll("files").filter((f) => typeof f !== "string");
+  for (const [i, f] of files.entries()) await cache.put("/share/file/" + i, new Response(f));
+  await cache.put("/share/meta", Response.json({ text, files: files.map((f) => ({ name: f.name, type: f.type })) }));
+  return Response.redirect("/?share=1", 303);
+}
+`;
+
 const INDEX_HTML = `<!doctype html>
 <html lang="zh-Hant">
 <head>
@@ -440,6 +1739,8 @@ const INDEX_HTML = `<!doctype html>
   <meta name="viewport" content="width=device-width,initial-scale=1" />
   <meta name="color-scheme" content="light dark" />
   <title>Net Clipboard</title>
+  <link rel="manifest" href="/manifest.webmanifest" />
+  <meta name="theme-color" content="#6750a4" />
 
   <link rel="preconnect" href="https://fonts.googleapis.com">
   <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
@@ -470,6 +1771,31 @@ const INDEX_HTML = `<!doctype html>
       --md-shadow: rgba(0,0,0,.45);
     }
     .ms{ font-family: "Material Symbols Outlined"; font-variation-settings: 'wght' 400; }
+
+    /* Rendered markdown / HTML messages and highlighted code. */
+    .nc-rich{ overflow-wrap: anywhere; }
+    .nc-rich > * + *{ margin-top: .5rem; }
+    .nc-rich h1{ font-size: 1.25rem; font-weight: 700; }
+    .nc-rich h2{ font-size: 1.125rem; font-weight: 700; }
+    .nc-rich h3, .nc-rich h4, .nc-rich h5, .nc-rich h6{ font-weight: 600; }
+    .nc-rich ul{ list-style: disc; padding-left: 1.25rem; }
+    .nc-rich ol{ list-style: decimal; padding-left: 1.25rem; }
+    .nc-rich a{ color: var(--md-primary); text-decoration: underline; }
+    .nc-rich blockquote{ border-left: 3px solid var(--md-outline); padding-left: .75rem; opacity: .85; }
+    .nc-rich code{ font-family: ui-monospace, monospace; font-size: .875em; }
+    .nc-rich pre{ overflow-x: auto; padding: .5rem; border-radius: .75rem; background: var(--md-surface); }
+    .nc-rich table{ border-collapse: collapse; }
+    .nc-rich th, .nc-rich td{ border: 1px solid var(--md-outline); padding: .25rem .5rem; }
+    .nc-rich img{ max-width: 100%; }
+    .hljs-comment, .hljs-quote{ color: var(--md-outline); font-style: italic; }
+    .hljs-keyword, .hljs-selector-tag, .hljs-built_in, .hljs-type{ color: var(--md-primary); font-weight: 600; }
+    .hljs-string, .hljs-attr, .hljs-template-tag, .hljs-addition{ color: #2e7d32; }
+    .hljs-number, .hljs-literal, .hljs-symbol{ color: #b4690e; }
+    .hljs-title, .hljs-section, .hljs-name{ color: #1565c0; }
+    .hljs-deletion, .hljs-meta{ color: var(--md-error); }
+    .dark .hljs-string, .dark .hljs-attr, .dark .hljs-template-tag, .dark .hljs-addition{ color: #a5d6a7; }
+    .dark .hljs-number, .dark .hljs-literal, .dark .hljs-symbol{ color: #ffcc80; }
+    .dark .hljs-title, .dark .hljs-section, .dark .hljs-name{ color: #90caf9; }
   </style>
 </head>
 
@@ -480,31 +1806,54 @@ const INDEX_HTML = `<!doctype html>
       <div class="flex items-center gap-2">
         <span class="ms text-3xl">account_circle</span>
         <div class="flex flex-col leading-tight">
-          <div class="text-xs opacity-70">寄件人代碼</div>
+          <div class="flex items-center gap-2 text-xs">
+            <span class="opacity-70" data-i18n="app.fromCode">寄件人代碼</span>
+            <select id="idFormat" class="bg-transparent opacity-70 focus:outline-none"
+              title="代碼格式" data-i18n-title="app.idFormat">
+              <option value="digits" data-i18n="app.idFormat.digits">6 位數字</option>
+              <option value="base32" data-i18n="app.idFormat.base32">10 個字元</option>
+              <option value="words" data-i18n="app.idFormat.words">單字（好記）</option>
+            </select>
+          </div>
           <div class="flex items-center gap-2">
             <input id="userId"
-              class="w-28 text-lg font-semibold bg-transparent border-b border-[color:var(--md-outline)] focus:outline-none"
-              inputmode="numeric" maxlength="6" />
+              class="w-44 text-lg font-semibold bg-transparent border-b border-[color:var(--md-outline)] focus:outline-none"
+              maxlength="32" autocapitalize="none" spellcheck="false" />
             <button id="userIdAction"
               class="h-9 w-9 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80"
               title="refresh / done">
               <span id="userIdIcon" class="ms">refresh</span>
             </button>
+            <button id="ownerKeyBtn"
+              class="h-9 w-9 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80"
+              title="擁有者金鑰" data-i18n-title="app.ownerKey">
+              <span class="ms">key</span>
+            </button>
+            <button id="qrShowBtn"
+              class="h-9 w-9 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80"
+              title="顯示配對 QR 碼" data-i18n-title="app.showQr">
+              <span class="ms">qr_code_2</span>
+            </button>
           </div>
         </div>
       </div>
 
-      <button id="themeBtn"
-        class="h-10 w-10 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80"
-        title="深色/淺色">
-        <span id="themeIcon" class="ms">dark_mode</span>
-      </button>
+      <div class="flex items-center gap-2">
+        <select id="langSelect"
+          class="h-10 rounded-full px-3 text-sm bg-transparent border border-[color:var(--md-outline)] focus:outline-none"
+          title="語言" data-i18n-title="app.language"></select>
+        <button id="themeBtn"
+          class="h-10 w-10 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80"
+          title="深色/淺色" data-i18n-title="app.theme">
+          <span id="themeIcon" class="ms">dark_mode</span>
+        </button>
+      </div>
     </div>
 
     <div class="mt-3 text-sm">
       <div class="flex items-center gap-2">
         <span id="connDot" class="inline-block w-2.5 h-2.5 rounded-full bg-[color:var(--md-outline)]"></span>
-        <span id="connText" class="opacity-80">尚未連線</span>
+        <span id="connText" class="opacity-80" data-i18n="conn.idle">尚未連線</span>
       </div>
     </div>
 
@@ -513,99 +1862,193 @@ const INDEX_HTML = `<!doctype html>
         <div id="sendView" class="">
           <div class="flex items-center gap-2 mb-3">
             <span class="ms">send</span>
-            <div class="font-semibold">傳送</div>
+            <div class="font-semibold" data-i18n="tab.send">傳送</div>
           </div>
 
-          <label class="block text-sm opacity-80 mb-1">收件人代碼（必填）</label>
-          <input id="receiverId"
-            class="w-full rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none"
-            inputmode="numeric" maxlength="6" placeholder="例如 123456" />
+          <div id="contactChips" class="mb-3 flex flex-wrap gap-2"></div>
+
+          <label class="block text-sm opacity-80 mb-1" data-i18n="send.receiver">收件人代碼（必填）</label>
+          <div class="flex gap-2">
+            <input id="receiverId"
+              class="flex-1 min-w-0 rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none"
+              maxlength="32" autocapitalize="none" spellcheck="false"
+              placeholder="例如 123456 或 team-design" data-i18n-placeholder="send.receiverPlaceholder" />
+            <button id="qrScanBtn"
+              class="h-10 w-10 shrink-0 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80"
+              title="掃描 QR 碼" data-i18n-title="send.scanQr">
+              <span class="ms">qr_code_scanner</span>
+            </button>
+            <button id="saveContactBtn"
+              class="h-10 w-10 shrink-0 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80"
+              title="加入/更新聯絡人" data-i18n-title="send.saveContact">
+              <span class="ms">person_add</span>
+            </button>
+          </div>
+          <div id="recipientKeys" class="mt-1 font-mono text-xs opacity-70 break-all"></div>
+
+          <div id="targetRow" class="hidden">
+            <label class="block text-sm opacity-80 mt-3 mb-1" data-i18n="send.target">送到哪台裝置</label>
+            <select id="targetDevice"
+              class="w-full rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none">
+              <option value="" data-i18n="devices.all">所有裝置</option>
+            </select>
+          </div>
 
-          <label class="block text-sm opacity-80 mt-3 mb-1">取件口令（選填）</label>
+          <label class="block text-sm opacity-80 mt-3 mb-1" data-i18n="send.passphrase">取件口令（選填，留空則以收件裝置的公鑰加密）</label>
           <input id="accessToken"
             class="w-full rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none"
-            placeholder="建議：OTP/敏感內容請務必填" />
+            placeholder="收件人尚未在線上註冊金鑰時才需要" data-i18n-placeholder="send.passphrasePlaceholder" />
+
+          <label class="block text-sm opacity-80 mt-3 mb-1" data-i18n="send.kdf">口令強化方式</label>
+          <select id="kdfSelect"
+            class="w-full rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none">
+            <option value="argon2id" data-i18n="send.kdfArgon2id">Argon2id（建議，19 MiB / 2 輪）</option>
+            <option value="pbkdf2" data-i18n="send.kdfPbkdf2">PBKDF2-SHA-256（600,000 次）</option>
+          </select>
 
-          <label class="block text-sm opacity-80 mt-3 mb-1">文字留言板（選填）</label>
+          <label class="block text-sm opacity-80 mt-3 mb-1" data-i18n="send.message">文字留言板（選填）</label>
           <textarea id="mailboxMessage" rows="4"
             class="w-full rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none"
-            placeholder="長文字/多行內容…（可加密）"></textarea>
+            placeholder="長文字/多行內容…（可加密）" data-i18n-placeholder="send.messagePlaceholder"></textarea>
+          <div class="mt-2 flex gap-2">
+            <select id="messageFormat"
+              class="flex-1 rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none">
+              <option value="plain" data-i18n="send.formatPlain">純文字</option>
+              <option value="markdown">Markdown</option>
+              <option value="html" data-i18n="send.formatHtml">HTML（保留格式）</option>
+              <option value="code" data-i18n="format.code">程式碼</option>
+            </select>
+            <input id="codeLang" maxlength="32" placeholder="語言，例如 python" data-i18n-placeholder="send.codeLang"
+              class="hidden flex-1 rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none" />
+          </div>
 
-          <label class="block text-sm opacity-80 mt-3 mb-1">寄送圖片（選填）</label>
-          <input id="imageFile" type="file" accept="image/*"
+          <label class="block text-sm opacity-80 mt-3 mb-1" data-i18n="send.files">附加檔案（選填，可多選圖片或任意檔案）</label>
+          <input id="attachFiles" type="file" multiple
             class="w-full text-sm file:mr-4 file:rounded-full file:border-0 file:px-4 file:py-2
                    file:bg-[color:var(--md-primary)] file:text-[color:var(--md-on-primary)]" />
 
+          <div class="mt-3 grid grid-cols-2 gap-2">
+            <div>
+              <label class="block text-sm opacity-80 mb-1" data-i18n="send.ttl">保存時間</label>
+              <select id="ttlSelect"
+                class="w-full rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none">
+                <option value="60" data-i18n="send.ttl60">1 分鐘</option>
+                <option value="300" data-i18n="send.ttl300">5 分鐘</option>
+                <option value="900" selected data-i18n="send.ttl900">15 分鐘</option>
+                <option value="3600" data-i18n="send.ttl3600">1 小時</option>
+                <option value="86400" data-i18n="send.ttl86400">1 天</option>
+                <option value="604800" data-i18n="send.ttl604800">7 天</option>
+              </select>
+            </div>
+            <div>
+              <label class="block text-sm opacity-80 mb-1" data-i18n="send.maxDownloads">下載次數上限</label>
+              <input id="maxDownloads" type="number" min="1" max="100"
+                class="w-full rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none"
+                placeholder="不限" data-i18n-placeholder="send.unlimited" />
+            </div>
+          </div>
+
+          <label class="mt-3 flex items-center gap-2 text-sm opacity-80">
+            <input id="burnAfterRead" type="checkbox" />
+            <span data-i18n="send.burn">閱後即焚（第一次完整下載後立即刪除）</span>
+          </label>
+
           <div class="mt-4 flex gap-2">
             <button id="sendBtn"
-              class="flex-1 rounded-full px-4 py-3 bg-[color:var(--md-primary)] text-[color:var(--md-on-primary)] font-semibold hover:opacity-90">
+              class="flex-1 rounded-full px-4 py-3 bg-[color:var(--md-primary)] text-[color:var(--md-on-primary)] font-semibold hover:opacity-90"
+              data-i18n="send.submit">
               送出
             </button>
             <button id="clearBtn"
-              class="rounded-full px-4 py-3 border border-[color:var(--md-outline)] hover:opacity-80">
+              class="rounded-full px-4 py-3 border border-[color:var(--md-outline)] hover:opacity-80"
+              data-i18n="send.clear">
               清空
             </button>
           </div>
 
           <div id="sendHint" class="mt-3 text-sm opacity-80"></div>
 
-          <div id="sentCard" class="mt-4 hidden">
-            <div class="rounded-2xl p-3 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)]">
-              <div class="text-sm opacity-80">最近一次送出的 clip</div>
-              <div class="mt-1 font-mono text-xs break-all" id="sentInfo"></div>
-              <div class="mt-3 flex gap-2">
-                <button id="revokeBtn"
-                  class="rounded-full px-4 py-2 border border-[color:var(--md-outline)] hover:opacity-80">
-                  撤回/刪除
-                </button>
-              </div>
-            </div>
+          <div id="outboxCard" class="mt-4 hidden">
+            <div class="text-sm opacity-80 mb-2" data-i18n="outbox.title">最近送出</div>
+            <div id="outboxList" class="grid gap-2 max-h-[40vh] overflow-y-auto"></div>
           </div>
         </div>
 
         <div id="recvView" class="hidden">
           <div class="flex items-center gap-2 mb-3">
             <span class="ms">move_to_inbox</span>
-            <div class="font-semibold">接收</div>
+            <div class="font-semibold" data-i18n="tab.recv">接收</div>
           </div>
 
           <div id="pendingBox" class="flex items-center gap-2 opacity-80">
             <span class="ms animate-pulse">pending</span>
-            <span>等待中…（保持此頁可即時接收）</span>
+            <span data-i18n="recv.waiting">等待中…（保持此頁可即時接收）</span>
+          </div>
+
+          <div id="decryptRow" class="mt-3 hidden">
+            <div class="text-sm opacity-80 mb-1" data-i18n="recv.passphrasePrompt">有加密的信件：輸入解密口令</div>
+            <div class="flex gap-2">
+              <input id="decryptToken"
+                class="flex-1 rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none"
+                placeholder="輸入口令，於本地處理" data-i18n-placeholder="recv.passphrasePlaceholder" />
+              <button id="decryptBtn"
+                class="rounded-full px-4 py-2 bg-[color:var(--md-primary)] text-[color:var(--md-on-primary)] font-semibold hover:opacity-90"
+                data-i18n="recv.decrypt">
+                解密
+              </button>
+            </div>
           </div>
 
-          <div id="clipBox" class="hidden mt-3">
-            <div class="rounded-2xl p-3 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)]">
-              <div class="flex items-start justify-between gap-3">
-                <div>
-                  <div class="text-sm opacity-80">收到的 clip</div>
-                  <div class="font-mono text-xs break-all mt-1" id="clipMeta"></div>
-                </div>
-                <button id="deleteBtn"
-                  class="h-10 w-10 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80"
-                  title="刪除">
-                  <span class="ms">delete</span>
+          <div id="recvHint" class="mt-3 text-sm opacity-80"></div>
+          <div id="deviceKeyFp" class="mt-1 font-mono text-xs opacity-70 break-all"></div>
+
+          <div class="mt-3">
+            <div class="flex items-center justify-between gap-2">
+              <div class="text-sm opacity-80" data-i18n="devices.title">此信箱的裝置</div>
+              <div class="flex items-center gap-2">
+                <button id="pushBtn"
+                  class="hidden rounded-full px-3 py-1 text-sm border border-[color:var(--md-outline)] hover:opacity-80"
+                  data-i18n="push.enable">
+                  開啟通知
+                </button>
+                <button id="deviceNameBtn"
+                  class="rounded-full px-3 py-1 text-sm border border-[color:var(--md-outline)] hover:opacity-80"
+                  data-i18n="devices.rename">
+                  命名此裝置
                 </button>
               </div>
+            </div>
+            <div id="deviceList" class="mt-1 grid gap-1 text-sm"></div>
+          </div>
 
-              <div id="decryptRow" class="mt-3 hidden">
-                <div class="text-sm opacity-80 mb-1">此信件已加密：輸入解密口令</div>
-                <div class="flex gap-2">
-                  <input id="decryptToken"
-                    class="flex-1 rounded-2xl px-3 py-2 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] focus:outline-none"
-                    placeholder="輸入口令，於本地處理" />
-                  <button id="decryptBtn"
-                    class="rounded-full px-4 py-2 bg-[color:var(--md-primary)] text-[color:var(--md-on-primary)] font-semibold hover:opacity-90">
-                    解密
-                  </button>
-                </div>
-              </div>
+          <div id="historyList" class="mt-3 grid gap-3 max-h-[60vh] overflow-y-auto"></div>
+        </div>
+      </div>
+    </div>
+
+    <div id="qrOverlay" class="fixed inset-0 z-50 hidden bg-black/60 grid place-items-center p-4">
+      <div class="w-full max-w-sm rounded-3xl p-4 bg-[color:var(--md-surface-2)]">
+        <div class="flex items-center justify-between mb-3">
+          <div id="qrTitle" class="font-semibold"></div>
+          <button id="qrCloseBtn"
+            class="h-9 w-9 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80"
+            title="關閉" data-i18n-title="qr.close">
+            <span class="ms">close</span>
+          </button>
+        </div>
 
-              <div id="partsBox" class="mt-3 grid gap-3"></div>
+        <div id="qrShow" class="hidden">
+          <div id="qrImage" class="mx-auto w-64 rounded-2xl bg-white p-2"></div>
+          <label class="mt-3 flex items-start gap-2 text-sm opacity-80">
+            <input id="qrWithKey" type="checkbox" class="mt-1" />
+            <span data-i18n="qr.withKey">附上一次性加密口令（掃描的裝置送來的內容會以它加密，本頁自動用它解密）</span>
+          </label>
+          <div id="qrText" class="mt-2 font-mono text-xs break-all opacity-70"></div>
+        </div>
 
-              <div id="recvHint" class="mt-3 text-sm opacity-80"></div>
-            </div>
-          </div>
+        <div id="qrScan" class="hidden">
+          <video id="qrVideo" class="w-full rounded-2xl bg-black" playsinline muted></video>
+          <div id="qrScanHint" class="mt-2 text-sm opacity-80"></div>
         </div>
       </div>
     </div>
@@ -613,16 +2056,16 @@ const INDEX_HTML = `<!doctype html>
     <div class="mt-4 grid grid-cols-2 gap-2">
       <button id="tabSend"
         class="rounded-2xl py-3 border border-[color:var(--md-outline)] hover:opacity-80 flex items-center justify-center gap-2">
-        <span class="ms">send</span><span>傳送</span>
+        <span class="ms">send</span><span data-i18n="tab.send">傳送</span>
       </button>
       <button id="tabRecv"
         class="rounded-2xl py-3 border border-[color:var(--md-outline)] hover:opacity-80 flex items-center justify-center gap-2">
-        <span class="ms">move_to_inbox</span><span>接收</span>
+        <span class="ms">move_to_inbox</span><span data-i18n="tab.recv">接收</span>
       </button>
     </div>
 
-    <div class="mt-4 text-xs opacity-70 leading-relaxed">
-      建議：敏感內容請填加密口令，內容會在瀏覽器端加密後才上傳，Cloudflare 看不到內容明文，但仍可看到檔名/大小/時間等中繼資料。所有文件 15 分鐘到期自動刪除，或寄件人/收件人可點選立即刪除。
+    <div class="mt-4 text-xs opacity-70 leading-relaxed" data-i18n="app.tip">
+      提示：內容會在瀏覽器端加密後才上傳，預設以收件裝置的金鑰加密，也可自訂口令，Cloudflare 看不到內容，也看不到檔名與類型，但仍可看到傳送時間、收件代碼與大約的資料量。若收件人尚無裝置金鑰又未設定口令，內容會以未加密方式傳送。每則內容會在傳送時選擇的保存時間到期後自動刪除，寄件人/收件人也可隨時點選立即刪除。
     </div>
 
     <div class="mt-6 pt-6 border-t border-[color:var(--md-outline)] text-center text-xs opacity-60">
@@ -635,23 +2078,71 @@ const INDEX_HTML = `<!doctype html>
     </div>
   </div>
 
-<script>
+<script type="module">
+import {
+  KDF_PRESETS,
+  MAILBOX_ID_FORMATS,
+  MAX_ATTACHMENTS,
+  X25519_ALG,
+  b64,
+  clipKey,
+  decryptBytes,
+  deleteClip,
+  deriveKey,
+  deviceKeysFromPair,
+  fetchPart,
+  fetchRecipientKeys,
+  fileSource,
+  formatFingerprint,
+  isMailboxId,
+  messageFilename,
+  messageSource,
+  newMailboxId,
+  normalizeMailboxId,
+  openManifest,
+  ownerProof,
+  prepareSend,
+  sendPrepared,
+  subscribe,
+  unb64,
+  uploadClip
+} from "/sdk/netclip.js";
+import { LOCALES, LOCALE_NAMES, hasMessage, pickLocale, translate } from "/i18n/messages.js";
+
 (function(){
   const $ = (id) => document.getElementById(id);
+  const server = location.origin;
 
   const state = {
     userId: "",
     dirtyUserId: false,
     deviceId: "",
+    deviceName: "",
+    devices: [],
     ws: null,
-    lastClip: null,
-    sent: null,
+    history: [],
+    outbox: [],
+    contacts: [],
+    pastedRich: null,
+    pushKey: null,
+    pendingSend: null,
     theme: "auto",
+    locale: "en",
+    conn: { connected: false, key: "conn.idle" },
   };
 
+  // Refreshing the code draws a new one in the chosen format.
+  function loadIdFormat(){
+    const saved = localStorage.getItem("nc_id_format");
+    return MAILBOX_ID_FORMATS.includes(saved) ? saved : "digits";
+  }
+
   function randUserId(){
-    const n = Math.floor(Math.random() * 1000000);
-    return String(n).padStart(6, "0");
+    return newMailboxId($("idFormat").value);
+  }
+
+  function receiverInput(){
+    return normalizeMailboxId($("receiverId").value);
   }
 
   function loadDeviceId(){
@@ -661,22 +2152,75 @@ const INDEX_HTML = `<!doctype html>
     return v;
   }
 
+  function loadDeviceName(){
+    return localStorage.getItem("nc_device_name") || "";
+  }
+
   function loadUserId(){
     const k = "nc_user_id";
     let v = localStorage.getItem(k);
-    if (!v || !/^\\d{6}$/.test(v)) { v = randUserId(); localStorage.setItem(k, v); }
+    if (!isMailboxId(v)) { v = randUserId(); localStorage.setItem(k, v); }
     return v;
   }
 
-  function setConnStatus(connected, text){
+  function ownerSecretStorageKey(userId){
+    return "nc_owner_secret:" + userId;
+  }
+
+  function loadOwnerSecret(userId){
+    return localStorage.getItem(ownerSecretStorageKey(userId)) || "";
+  }
+
+  function saveOwnerSecret(userId, secretB64){
+    localStorage.setItem(ownerSecretStorageKey(userId), secretB64);
+  }
+
+  async function mailboxProof(action, subject){
+    const secretB64 = loadOwnerSecret(state.userId);
+    if (!secretB64) throw new Error(t("owner.missing"));
+    return ownerProof(secretB64, action, subject);
+  }
+
+  // Kept as a catalog key so a language switch can redraw it.
+  function setConnStatus(connected, key){
+    state.conn = { connected, key };
     $("connDot").style.background = connected ? "var(--md-primary)" : "var(--md-outline)";
-    $("connText").textContent = text;
+    $("connText").textContent = t(key);
   }
 
   function setUserIdIcon(){
     $("userIdIcon").textContent = state.dirtyUserId ? "done" : "refresh";
   }
 
+  // SDK errors carry a code, and server errors the server's own code; the
+  // page shows the catalog's wording for either in the chosen language.
+  function errorText(e){
+    const code = e?.code === "api" ? e.serverCode : e?.code;
+    if (typeof code !== "string" || !hasMessage("error." + code)) return e?.message || String(e);
+    return t("error." + code, { ...e.params, retryAfter: e.retryAfter, max: e.params?.max ?? MAX_ATTACHMENTS });
+  }
+
+  function t(key, params){
+    return translate(state.locale, key, params);
+  }
+
+  // A saved choice wins, then the browser's preferred languages.
+  function loadLocale(){
+    const saved = localStorage.getItem("nc_lang");
+    if (LOCALES.includes(saved)) return saved;
+    return pickLocale(navigator.languages?.length ? [...navigator.languages] : [navigator.language || ""]);
+  }
+
+  // Static markup names its catalog keys in data-i18n (text),
+  // data-i18n-placeholder and data-i18n-title attributes.
+  function applyLocale(){
+    document.documentElement.lang = state.locale;
+    document.querySelectorAll("[data-i18n]").forEach((node) => { node.textContent = t(node.dataset.i18n); });
+    document.querySelectorAll("[data-i18n-placeholder]").forEach((node) => { node.placeholder = t(node.dataset.i18nPlaceholder); });
+    document.querySelectorAll("[data-i18n-title]").forEach((node) => { node.title = t(node.dataset.i18nTitle); });
+    $("langSelect").value = state.locale;
+  }
+
   function applyTheme(){
     const saved = localStorage.getItem("nc_theme") || "auto";
     state.theme = saved;
@@ -693,40 +2237,85 @@ const INDEX_HTML = `<!doctype html>
     applyTheme();
   });
 
-  function wsUrl(userId, deviceId){
-    const proto = location.protocol === "https:" ? "wss:" : "ws:";
-    return proto + "//" + location.host + "/ws?user=" + encodeURIComponent(userId) + "&device=" + encodeURIComponent(deviceId);
-  }
-
   function connectWS(){
-    if (state.ws) { try { state.ws.close(); } catch {} }
-    setConnStatus(false, "連線中…");
-
-    const ws = new WebSocket(wsUrl(state.userId, state.deviceId));
-    state.ws = ws;
-
-    ws.onopen = () => setConnStatus(true, "已連線（WebSocket）");
-    ws.onclose = () => setConnStatus(false, "已斷線");
-    ws.onerror = () => setConnStatus(false, "連線錯誤");
-
-    ws.onmessage = (evt) => {
-      let msg;
-      try { msg = JSON.parse(evt.data); } catch { return; }
-
-      if (msg.type === "clip") {
-        state.lastClip = { clip: msg.clip, expiresAt: msg.expiresAt };
-        renderReceived();
-      } else if (msg.type === "deleted") {
-        if (state.lastClip?.clip?.id === msg.clipId) {
-          state.lastClip = null;
+    if (state.ws) state.ws.close();
+    setConnStatus(false, "conn.connecting");
+
+    // Without a stored owner key a fresh one is offered as the claim; it is
+    // only kept once the server accepts it.
+    const userId = state.userId;
+    const secretB64 = loadOwnerSecret(userId);
+    const offered = secretB64 || b64(crypto.getRandomValues(new Uint8Array(32)));
+
+    state.ws = subscribe({
+      server,
+      userId,
+      deviceId: state.deviceId,
+      ownerSecret: offered,
+      deviceKeys: deviceKeys(),
+      deviceName: state.deviceName,
+      onEvent: async (msg) => {
+        if (msg.type === "open") {
+          setConnStatus(false, "conn.verifying");
+        } else if (msg.type === "error") {
+          setConnStatus(false, "conn.error");
+        } else if (msg.type === "close") {
+          state.devices = [];
+          renderDevices();
+          if (msg.code !== 4001) setConnStatus(false, "conn.closed");
+          else setConnStatus(false, secretB64 ? "conn.claimedWithKey" : "conn.claimed");
+        } else if (msg.type === "authed") {
+          if (!secretB64) saveOwnerSecret(userId, offered);
+          if (!state.deviceName && msg.name) {
+            state.deviceName = msg.name;
+            localStorage.setItem("nc_device_name", msg.name);
+          }
+          setConnStatus(true, "conn.authed");
+          // Re-register an existing subscription in case the mailbox pruned it.
+          state.pushKey = msg.pushKey || null;
+          if (state.pushKey) pushSubscription().then((sub) => { if (sub) state.ws?.setPush(sub.toJSON(), state.locale); }).catch(() => {});
+          renderPushBtn();
+        } else if (msg.type === "push") {
+          $("recvHint").textContent = t(msg.enabled ? "push.enabled" : (msg.error ? "push.failed" : "push.disabled"));
+          renderPushBtn();
+        } else if (msg.type === "receipt") {
+          updateOutbox(msg.clipId, { delivered: msg.delivered, opened: msg.opened });
+        } else if (msg.type === "presence") {
+          state.devices = Array.isArray(msg.devices) ? msg.devices : [];
+          renderDevices();
+        } else if (msg.type === "auth-failed") {
+          setConnStatus(false, msg.reason === "claimed" || !secretB64 ? "conn.claimed" : "conn.badSecret");
+        } else if (msg.type === "history") {
+          state.history = Array.isArray(msg.items) ? msg.items : [];
           renderReceived();
-        }
-        if (state.sent?.clipId === msg.clipId) {
-          state.sent = null;
-          renderSent();
-        }
+          await unlockManifests();
+          renderReceived();
+        } else if (msg.type === "clip") {
+          state.history = [
+            { clip: msg.clip, expiresAt: msg.expiresAt },
+            ...state.history.filter((x) => x.clip?.id !== msg.clip?.id)
+          ];
+          renderReceived();
+          await unlockManifest(msg.clip).then(renderReceived, () => {});
+        } else if (msg.type === "deleted") {
+          if (state.history.some((x) => x.clip?.id === msg.clipId)) {
+            state.history = state.history.filter((x) => x.clip?.id !== msg.clipId);
+            const card = [...$("historyList").children].find((el) => el.dataset.clipId === msg.clipId);
+            if (card && (msg.reason === "burned" || msg.reason === "max-downloads")){
+              // Keep what was just read on screen; the server copy is gone.
+              card.querySelectorAll("button").forEach((b) => { b.disabled = true; b.classList.add("opacity-40"); });
+              $("recvHint").textContent = t(msg.reason === "burned" ? "recv.sentBurned" : "recv.sentMaxDownloads");
+            } else {
+              renderReceived();
+            }
+          }
+          // Relayed from the receiver's mailbox for clips we sent.
+          if (removeOutbox(msg.clipId) && msg.receiverId) {
+            $("sendHint").textContent = t("outbox.deleted", { receiver: msg.receiverId, reason: t(DELETE_REASONS[msg.reason] || "outbox.deletedManual") });
+          }
+        }
       }
-    };
+    });
   }
 
   function showView(which){
@@ -746,18 +2335,28 @@ const INDEX_HTML = `<!doctype html>
 
   $("userIdAction").addEventListener("click", () => {
     if (state.dirtyUserId) {
-      const v = $("userId").value.trim();
-      if (!/^\\d{6}$/.test(v)) {
-        alert("寄件人需為 6 位數字");
+      const v = normalizeMailboxId($("userId").value);
+      if (!isMailboxId(v)) {
+        alert(t("app.badCode"));
         return;
       }
       state.userId = v;
+      $("userId").value = v;
       localStorage.setItem("nc_user_id", v);
       state.dirtyUserId = false;
       setUserIdIcon();
       connectWS();
       return;
     }
+    newUserId();
+  });
+
+  $("idFormat").addEventListener("change", () => {
+    localStorage.setItem("nc_id_format", $("idFormat").value);
+    newUserId();
+  });
+
+  function newUserId(){
     const v = randUserId();
     state.userId = v;
     $("userId").value = v;
@@ -765,208 +2364,504 @@ const INDEX_HTML = `<!doctype html>
     state.dirtyUserId = false;
     setUserIdIcon();
     connectWS();
+  }
+
+  $("ownerKeyBtn").addEventListener("click", async () => {
+    const current = loadOwnerSecret(state.userId);
+    if (current) {
+      await navigator.clipboard.writeText(current).catch(()=>{});
+      alert(t("owner.copied"));
+      return;
+    }
+    const v = (prompt(t("owner.prompt")) || "").trim();
+    if (!v) return;
+    saveOwnerSecret(state.userId, v);
+    connectWS();
   });
 
-  function b64(u8){
-    let s = "";
-    u8.forEach(b => s += String.fromCharCode(b));
-    return btoa(s);
+  const IDB_STORES = ["keys", "outbox", "contacts"];
+  // Must match the cache the service worker stores shares in.
+  const SHARE_CACHE = "netclip-share";
+
+  function idbOpen(){
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open("netclipboard", IDB_STORES.length);
+      req.onupgradeneeded = () => {
+        for (const name of IDB_STORES){
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
   }
-  function unb64(s){
-    const bin = atob(s);
-    const u8 = new Uint8Array(bin.length);
-    for (let i=0;i<bin.length;i++) u8[i] = bin.charCodeAt(i);
-    return u8;
+
+  async function idbRequest(store, mode, fn){
+    const db = await idbOpen();
+    try{
+      return await new Promise((resolve, reject) => {
+        const req = fn(db.transaction(store, mode).objectStore(store));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }finally{
+      db.close();
+    }
   }
 
-  async function deriveKey(token, saltB64, iter){
-    const enc = new TextEncoder();
-    const baseKey = await crypto.subtle.importKey(
-      "raw",
-      enc.encode(token),
-      "PBKDF2",
-      false,
-      ["deriveKey"]
-    );
-    return crypto.subtle.deriveKey(
-      { name: "PBKDF2", salt: unb64(saltB64), iterations: iter, hash: "SHA-256" },
-      baseKey,
-      { name: "AES-GCM", length: 256 },
-      false,
-      ["encrypt", "decrypt"]
-    );
+  const idbGet = (store, key) => idbRequest(store, "readonly", (os) => os.get(key));
+  const idbPut = (store, key, value) => idbRequest(store, "readwrite", (os) => os.put(value, key));
+  const idbDelete = (store, key) => idbRequest(store, "readwrite", (os) => os.delete(key));
+  const idbGetAll = (store) => idbRequest(store, "readonly", (os) => os.getAll());
+
+  let deviceKeysPromise = null;
+
+  // The device keypair lives in IndexedDB with a non-extractable private key.
+  // Resolves to null when the browser has no X25519 support.
+  function deviceKeys(){
+    if (!deviceKeysPromise){
+      deviceKeysPromise = (async () => {
+        let pair = await idbGet("keys", "device").catch(() => null);
+        if (!pair){
+          pair = await crypto.subtle.generateKey({ name:"X25519" }, false, ["deriveBits"]);
+          await idbPut("keys", "device", pair);
+        }
+        return deviceKeysFromPair(pair);
+      })().catch(() => null);
+    }
+    return deviceKeysPromise;
   }
 
-  async function encryptBytes(key, plainU8){
-    const iv = crypto.getRandomValues(new Uint8Array(12));
-    const ct = await crypto.subtle.encrypt({ name:"AES-GCM", iv }, key, plainU8);
-    return { ivB64: b64(iv), cipherU8: new Uint8Array(ct) };
+  const clipKeys = new Map();
+
+  async function cachedClipKey(clip){
+    const token = clip.enc.alg === X25519_ALG ? "" : $("decryptToken").value;
+    const cacheKey = clip.id + "|" + token;
+    if (!clipKeys.has(cacheKey)){
+      clipKeys.set(cacheKey, deviceKeys().then((keys) => clipKey(clip, { passphrase: token, deviceKeys: keys })));
+    }
+    try{
+      return await clipKeys.get(cacheKey);
+    }catch(e){
+      clipKeys.delete(cacheKey);
+      throw e;
+    }
+  }
+
+  const manifests = new Map();
+
+  async function unlockManifest(clip){
+    if (!clip?.manifest || manifests.has(clip.id)) return;
+    manifests.set(clip.id, await openManifest(clip, await cachedClipKey(clip)));
   }
 
-  async function decryptBytes(key, ivB64, cipherU8){
-    const iv = unb64(ivB64);
-    const pt = await crypto.subtle.decrypt({ name:"AES-GCM", iv }, key, cipherU8);
-    return new Uint8Array(pt);
+  async function unlockManifests(){
+    let failed = 0;
+    for (const entry of state.history){
+      try{
+        await unlockManifest(entry.clip);
+      }catch{
+        if (entry.clip.enc?.alg !== X25519_ALG) failed++;
+      }
+    }
+    return failed;
   }
 
-  async function r2Put(key, bytesU8, contentType){
-    const res = await fetch("/api/r2/" + encodeURIComponent(key), {
-      method: "PUT",
-      headers: { "content-type": contentType, "content-length": String(bytesU8.byteLength) },
-      body: bytesU8
-    });
-    const j = await res.json();
-    if (!j.ok) throw new Error(j.error || "upload failed");
-    return j.key;
+  // Opened parts carry the manifest metadata. p.size stays the ciphertext
+  // length (the decoder needs it); plainSize is for display.
+  function partView(clip, p, idx){
+    if (!clip.manifest) return p;
+    return manifests.get(clip.id)?.[idx] || { ...p, locked: true };
+  }
+
+  async function* readPart(clip, p){
+    const key = clip.enc ? await cachedClipKey(clip) : null;
+    yield* fetchPart(server, clip, p, key);
   }
 
-  async function r2Get(key){
-    const res = await fetch("/api/r2/" + encodeURIComponent(key));
-    if (!res.ok) throw new Error("download failed");
-    const buf = await res.arrayBuffer();
-    return new Uint8Array(buf);
+  async function readPartBlob(clip, p, type){
+    const chunks = [];
+    for await (const chunk of readPart(clip, p)) chunks.push(chunk);
+    return new Blob(chunks, { type });
   }
 
   function clearSend(){
     $("receiverId").value = "";
     $("accessToken").value = "";
     $("mailboxMessage").value = "";
-    $("imageFile").value = "";
+    state.pastedRich = null;
+    setMessageFormat("plain");
+    $("codeLang").value = "";
+    $("attachFiles").value = "";
+    $("maxDownloads").value = "";
+    $("burnAfterRead").checked = false;
+    $("maxDownloads").disabled = false;
+    $("targetDevice").value = "";
     $("sendHint").textContent = "";
+    state.pendingSend = null;
   }
   $("clearBtn").addEventListener("click", clearSend);
 
-  $("sendBtn").addEventListener("click", async () => {
-    $("sendBtn").disabled = true;
-    $("sendHint").textContent = "處理中…";
-    try{
-      const receiverId = $("receiverId").value.trim();
-      if (!/^\\d{6}$/.test(receiverId)) throw new Error("收件人需為 6 位數字");
+  function setMessageFormat(format){
+    $("messageFormat").value = format;
+    $("codeLang").classList.toggle("hidden", format !== "code");
+  }
 
-      const token = $("accessToken").value;
-      const hasE2EE = token.trim().length > 0;
-
-      const clipId = crypto.randomUUID();
-      const parts = [];
-
-      let kdf = null;
-      let aesKey = null;
-      if (hasE2EE){
-        const salt = crypto.getRandomValues(new Uint8Array(16));
-        const saltB64 = b64(salt);
-        const iter = 100000;
-        aesKey = await deriveKey(token, saltB64, iter);
-        kdf = { v:1, alg:"PBKDF2-AESGCM", saltB64, iter, hash:"SHA-256" };
-      }
+  // Formatted content is pasted as plain text; picking HTML swaps in the
+  // clipboard's HTML source, and any other format swaps the text back, as
+  // long as the message still holds what was pasted.
+  $("messageFormat").addEventListener("change", () => {
+    const rich = state.pastedRich;
+    const format = $("messageFormat").value;
+    const box = $("mailboxMessage");
+    if (rich && format === "html" && box.value === rich.text) box.value = rich.html;
+    else if (rich && format !== "html" && box.value === rich.html) box.value = rich.text;
+    setMessageFormat(format);
+  });
 
-      const msg = $("mailboxMessage").value;
-      if (msg && msg.trim().length){
-        const enc = new TextEncoder();
-        let dataU8 = enc.encode(msg);
-        let ivB64 = null;
-
-        if (hasE2EE){
-          const out = await encryptBytes(aesKey, dataU8);
-          dataU8 = out.cipherU8;
-          ivB64 = out.ivB64;
-        }
+  function messageOptions(){
+    const format = $("messageFormat").value;
+    const lang = $("codeLang").value.trim();
+    return format === "code" && lang ? { format, lang } : { format };
+  }
 
-        const key = "clips/" + receiverId + "/" + clipId + "/message.bin";
-        await r2Put(key, dataU8, "application/octet-stream");
-        parts.push({
-          kind: "message",
-          r2Key: key,
-          mime: "text/plain; charset=utf-8",
-          size: dataU8.byteLength,
-          enc: hasE2EE ? { ivB64 } : null
-        });
-      }
+  $("burnAfterRead").addEventListener("change", () => {
+    $("maxDownloads").disabled = $("burnAfterRead").checked;
+  });
+
+  // Pasted, dropped and shared files join the picker's selection, so the send
+  // flow reads every attachment from #attachFiles.
+  function addFiles(list){
+    const incoming = [...(list || [])];
+    if (!incoming.length) return;
+    const dt = new DataTransfer();
+    for (const f of [...($("attachFiles").files || []), ...incoming]) dt.items.add(f);
+    $("attachFiles").files = dt.files;
+    $("sendHint").textContent = t("send.filesAdded", { added: incoming.length, total: dt.files.length });
+  }
+
+  function appendMessage(text){
+    const box = $("mailboxMessage");
+    box.value = box.value ? box.value + "\\n" + text : text;
+  }
+
+  // Pasting into a text field keeps its normal behaviour unless the clipboard
+  // holds files, or formatted content while the message is still empty: its
+  // plain text goes in and the HTML is held until the HTML format is picked.
+  // Elsewhere on the send view, text lands in the message and HTML-only
+  // content is attached as a file.
+  document.addEventListener("paste", (e) => {
+    if ($("sendView").classList.contains("hidden") || !e.clipboardData) return;
+    const data = e.clipboardData;
+    const files = [...data.files];
+    if (files.length){
+      e.preventDefault();
+      addFiles(files);
+      return;
+    }
+    const tag = e.target && e.target.tagName;
+    const inMessage = e.target === $("mailboxMessage");
+    if (!inMessage && (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT")) return;
+    const text = data.getData("text/plain");
+    const html = data.getData("text/html");
+    if (html && !$("mailboxMessage").value.trim()){
+      e.preventDefault();
+      $("mailboxMessage").value = text;
+      state.pastedRich = { html, text };
+      if ($("messageFormat").value === "html") $("mailboxMessage").value = html;
+      else $("sendHint").textContent = t("send.keptHtml");
+      return;
+    }
+    if (inMessage || (!text && !html)) return;
+    e.preventDefault();
+    if (text) appendMessage(text);
+    else addFiles([new File([html], "clipboard.html", { type: "text/html" })]);
+  });
 
-      const f = $("imageFile").files && $("imageFile").files[0];
-      if (f){
-        const ab = await f.arrayBuffer();
-        let dataU8 = new Uint8Array(ab);
-        let ivB64 = null;
+  const DROP_RING = ["ring-2", "ring-[color:var(--md-primary)]"];
+  $("sendView").addEventListener("dragover", (e) => {
+    e.preventDefault();
+    $("sendView").classList.add(...DROP_RING);
+  });
+  $("sendView").addEventListener("dragleave", (e) => {
+    if (!$("sendView").contains(e.relatedTarget)) $("sendView").classList.remove(...DROP_RING);
+  });
+  $("sendView").addEventListener("drop", (e) => {
+    e.preventDefault();
+    $("sendView").classList.remove(...DROP_RING);
+    const data = e.dataTransfer;
+    if (!data) return;
+    if (data.files.length) addFiles(data.files);
+    else if (data.getData("text/plain")) appendMessage(data.getData("text/plain"));
+  });
 
-        if (hasE2EE){
-          const out = await encryptBytes(aesKey, dataU8);
-          dataU8 = out.cipherU8;
-          ivB64 = out.ivB64;
+  // The service worker stashes a share-sheet POST in the Cache API and opens
+  // /?share=1; without one, the Worker redirects with the text in the
+  // fragment and ?share=text (or ?share=lost when files had to be dropped).
+  async function receiveShare(mode){
+    let text = new URLSearchParams(location.hash.slice(1)).get("text") || "";
+    const files = [];
+    if (mode === "1" && window.caches){
+      const cache = await caches.open(SHARE_CACHE);
+      const meta = await cache.match("/share/meta").then((r) => r ? r.json() : null).catch(() => null);
+      if (meta){
+        text = meta.text || "";
+        for (const [i, f] of (meta.files || []).entries()){
+          const res = await cache.match("/share/file/" + i);
+          if (res) files.push(new File([await res.blob()], f.name || "shared-" + (i + 1), { type: f.type || "" }));
         }
+      }
+      await caches.delete(SHARE_CACHE);
+    }
+    showView("send");
+    if (text) appendMessage(text);
+    addFiles(files);
+    $("sendHint").textContent = mode === "lost"
+      ? t("send.shareLost")
+      : (text || files.length ? t("send.shareTaken") : "") + t(state.contacts.length ? "send.pickContact" : "send.enterReceiver");
+  }
+
+  // Options past the server's longest expiry (from its last prepare reply,
+  // or the default) are disabled rather than silently clamped.
+  function applyMaxTtl(max){
+    const options = [...$("ttlSelect").options];
+    for (const opt of options) opt.disabled = Number(opt.value) > max;
+    if (Number($("ttlSelect").value) > max){
+      const allowed = options.filter((opt) => !opt.disabled);
+      if (allowed.length) $("ttlSelect").value = allowed[allowed.length - 1].value;
+    }
+  }
 
-        const key = "clips/" + receiverId + "/" + clipId + "/image.bin";
-        await r2Put(key, dataU8, "application/octet-stream");
-        parts.push({
-          kind: "image",
-          r2Key: key,
-          mime: f.type || "image/*",
-          filename: f.name || "image",
-          size: dataU8.byteLength,
-          enc: hasE2EE ? { ivB64 } : null
+  function sendFingerprint(receiverId, to, token, kdfName, msg, format, files){
+    return JSON.stringify([receiverId, to, token, kdfName, msg, format, files.map((f) => [f.name, f.size, f.lastModified])]);
+  }
+
+  $("sendBtn").addEventListener("click", async () => {
+    $("sendBtn").disabled = true;
+    $("sendHint").textContent = t("send.working");
+    try{
+      const receiverId = receiverInput();
+      if (!isMailboxId(receiverId)) throw new Error(t("app.badCode"));
+
+      const token = $("accessToken").value;
+      const kdfName = $("kdfSelect").value;
+      const ttlSec = Number($("ttlSelect").value);
+      const msg = $("mailboxMessage").value;
+      const files = [...($("attachFiles").files || [])];
+      if (files.length > MAX_ATTACHMENTS) throw new Error(t("error.too-many", { max: MAX_ATTACHMENTS }));
+      const to = receiverId === state.userId ? $("targetDevice").value : "";
+
+      const fingerprint = sendFingerprint(receiverId, to, token, kdfName, msg, messageOptions(), files);
+      const previous = state.pendingSend;
+      const resumable =
+        previous &&
+        previous.fingerprint === fingerprint &&
+        previous.job.uploads.every((u) => u.done || u.ticketExpiresAt > Date.now() + 60000);
+
+      if (resumable){
+        $("sendHint").textContent = t("send.resuming");
+      } else {
+        state.pendingSend = null;
+        const sources = files.map((f, i) => fileSource(f, f.name || "file-" + (i + 1)));
+        if (msg && msg.trim().length) sources.unshift(messageSource(msg, messageOptions()));
+
+        const passphrase = token.trim().length > 0 ? token : "";
+        const plain = !(await deviceKeys());
+        const recipientKeys = passphrase || plain ? undefined : await checkPinnedKeys(receiverId);
+
+        const job = await prepareSend({
+          server,
+          receiverId,
+          sources,
+          passphrase,
+          kdf: kdfName,
+          plain,
+          to: to || undefined,
+          recipientKeys
         });
+        if (job.recipientKeys) renderRecipientKeys(job.recipientKeys);
+        state.pendingSend = { fingerprint, job };
+      }
+      const job = state.pendingSend.job;
+      if (job.maxTtlSeconds){
+        localStorage.setItem("nc_max_ttl", String(job.maxTtlSeconds));
+        applyMaxTtl(job.maxTtlSeconds);
+        if (ttlSec > job.maxTtlSeconds) throw new Error(t("error.bad-ttl", { max: job.maxTtlSeconds }));
       }
 
-      if (!parts.length) throw new Error("至少要填留言板或選一張圖片");
+      await uploadClip(job, (sent, total) => {
+        $("sendHint").textContent = t("send.uploading", { percent: Math.min(99, Math.floor((sent / total) * 100)) });
+      });
 
-      const clip = {
-        id: clipId,
-        ts: Date.now(),
+      const ownerSecret = loadOwnerSecret(state.userId);
+      const result = await sendPrepared(job, {
         fromUser: state.userId,
         fromDevice: state.deviceId,
-        enc: hasE2EE ? kdf : null,
-        parts
-      };
-
-      const res = await fetch("/api/clip/send", {
-        method: "POST",
-        headers: { "content-type":"application/json" },
-        body: JSON.stringify({ receiverId, clip })
+        ownerSecret: ownerSecret || undefined,
+        ttlSec,
+        burn: $("burnAfterRead").checked,
+        maxDownloads: parseInt($("maxDownloads").value, 10) || undefined
+      });
+      const until = t("send.expiresAt", { time: new Date(result.expiresAt).toLocaleTimeString(state.locale) });
+
+      state.pendingSend = null;
+      await addOutbox({
+        clipId: result.clipId,
+        receiverId,
+        to,
+        summary: [msg.trim().length ? t("send.summaryText") : "", ...files.map((f) => f.name)].filter(Boolean).join(t("send.listSeparator")).slice(0, 80),
+        revokeToken: result.revokeToken,
+        sentAt: Date.now(),
+        expiresAt: result.expiresAt,
+        receipts: !!ownerSecret,
+        delivered: 0,
+        opened: 0
       });
-      const j = await res.json();
-      if (!j.ok) throw new Error(j.error || "send failed");
-
-      state.sent = { receiverId, clipId };
-      renderSent();
 
-      $("sendHint").textContent = hasE2EE ? "已送出（加密）" : "已送出（未加密）";
+      $("sendHint").textContent = !result.enc
+        ? t("send.sentPlain")
+        : result.enc === X25519_ALG
+          ? t("send.sentDeviceKeys", { count: result.recipients })
+          : t("send.sentPassphrase");
+      if (to) $("sendHint").textContent += t("send.onlyTo", { device: deviceLabel(state.devices.find((d) => d.deviceId === to) || { deviceId: to }) });
+      $("sendHint").textContent += until;
     }catch(e){
-      $("sendHint").textContent = "錯誤：" + (e && e.message ? e.message : String(e));
+      const hint = state.pendingSend ? t("send.retryHint") : "";
+      $("sendHint").textContent = t("send.error", { error: errorText(e) }) + hint;
     }finally{
       $("sendBtn").disabled = false;
     }
   });
 
-  async function deleteClip(receiverId, clipId){
-    const res = await fetch("/api/clip/delete", {
-      method: "POST",
-      headers: { "content-type":"application/json" },
-      body: JSON.stringify({ receiverId, clipId })
-    });
-    const j = await res.json();
-    if (!j.ok) throw new Error(j.error || "delete failed");
-    return j;
+  // Recent sends live in IndexedDB with their revoke tokens, so they can
+  // still be revoked after a reload. Entries leave on expiry or when the
+  // receiver's mailbox reports the clip deleted.
+  const OUTBOX_LIMIT = 20;
+  const DELETE_REASONS = {
+    manual: "outbox.deletedManual",
+    burned: "outbox.deletedBurned",
+    "max-downloads": "outbox.deletedMaxDownloads",
+    evicted: "outbox.deletedEvicted",
+    ttl: "outbox.deletedExpired",
+    "ttl-alarm": "outbox.deletedExpired"
+  };
+
+  async function loadOutbox(){
+    const now = Date.now();
+    const entries = await idbGetAll("outbox").catch(() => []);
+    for (const entry of entries){
+      if (entry.expiresAt <= now) await idbDelete("outbox", entry.clipId).catch(()=>{});
+    }
+    state.outbox = entries.filter((x) => x.expiresAt > now).sort((a, b) => b.sentAt - a.sentAt);
+    renderOutbox();
+  }
+
+  async function addOutbox(entry){
+    state.outbox = [entry, ...state.outbox.filter((x) => x.clipId !== entry.clipId)];
+    for (const old of state.outbox.splice(OUTBOX_LIMIT)) await idbDelete("outbox", old.clipId).catch(()=>{});
+    await idbPut("outbox", entry.clipId, entry).catch(()=>{});
+    renderOutbox();
   }
 
-  $("revokeBtn").addEventListener("click", async () => {
-    if (!state.sent) return;
+  function updateOutbox(clipId, patch){
+    const entry = state.outbox.find((x) => x.clipId === clipId);
+    if (!entry) return;
+    Object.assign(entry, patch);
+    idbPut("outbox", clipId, entry).catch(()=>{});
+    renderOutbox();
+  }
+
+  function removeOutbox(clipId){
+    if (!state.outbox.some((x) => x.clipId === clipId)) return false;
+    state.outbox = state.outbox.filter((x) => x.clipId !== clipId);
+    idbDelete("outbox", clipId).catch(()=>{});
+    renderOutbox();
+    return true;
+  }
+
+  async function revokeSent(entry){
     try{
-      $("sendHint").textContent = "刪除中…";
-      await deleteClip(state.sent.receiverId, state.sent.clipId);
-      state.sent = null;
-      renderSent();
-      $("sendHint").textContent = "已刪除";
+      $("sendHint").textContent = t("recv.deleting");
+      await deleteClip(server, entry.receiverId, entry.clipId, { revokeToken: entry.revokeToken });
+      removeOutbox(entry.clipId);
+      $("sendHint").textContent = t("recv.deleted");
     }catch(e){
-      $("sendHint").textContent = "刪除失敗：" + (e?.message || e);
+      $("sendHint").textContent = t("recv.deleteFailed", { error: errorText(e) });
     }
-  });
+  }
 
-  function renderSent(){
-    if (!state.sent){
-      $("sentCard").classList.add("hidden");
-      return;
-    }
-    $("sentCard").classList.remove("hidden");
-    $("sentInfo").textContent = "receiver=" + state.sent.receiverId + "  clipId=" + state.sent.clipId;
+  function formatRemaining(ms){
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const pad = (n) => String(n).padStart(2, "0");
+    return (h ? h + ":" + pad(m) : String(m)) + ":" + pad(total % 60);
+  }
+
+  function outboxStatus(entry){
+    if (!entry.receipts) return t("outbox.sent");
+    if (!entry.delivered) return t("outbox.undelivered");
+    return t("outbox.delivered", { delivered: entry.delivered, opened: entry.opened });
+  }
+
+  function renderOutbox(){
+    $("outboxCard").classList.toggle("hidden", !state.outbox.length);
+    const list = $("outboxList");
+    list.innerHTML = "";
+    state.outbox.forEach((entry) => list.appendChild(renderOutboxEntry(entry)));
+  }
+
+  function renderOutboxEntry(entry){
+    const card = document.createElement("div");
+    card.className = "rounded-2xl p-3 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)] flex items-start justify-between gap-3";
+    card.dataset.clipId = entry.clipId;
+
+    const info = document.createElement("div");
+    info.className = "min-w-0";
+
+    const heading = document.createElement("div");
+    heading.className = "text-sm font-semibold break-all";
+    heading.textContent = "→ " + entry.receiverId + (entry.to ? t("outbox.toDevice") : "") + (entry.summary ? "　" + entry.summary : "");
+
+    const meta = document.createElement("div");
+    meta.className = "mt-1 font-mono text-xs opacity-70";
+    meta.textContent = t("outbox.sentAt", { time: new Date(entry.sentAt).toLocaleTimeString(state.locale) });
+    const countdown = document.createElement("span");
+    countdown.dataset.expiresAt = String(entry.expiresAt);
+    countdown.textContent = formatRemaining(entry.expiresAt - Date.now());
+    meta.appendChild(countdown);
+
+    const status = document.createElement("div");
+    status.className = "mt-1 text-sm";
+    status.textContent = outboxStatus(entry);
+
+    info.appendChild(heading);
+    info.appendChild(meta);
+    info.appendChild(status);
+
+    const revokeBtn = document.createElement("button");
+    revokeBtn.className = "rounded-full px-4 py-2 shrink-0 border border-[color:var(--md-outline)] hover:opacity-80";
+    revokeBtn.textContent = t("outbox.revoke");
+    revokeBtn.onclick = () => revokeSent(entry);
+
+    card.appendChild(info);
+    card.appendChild(revokeBtn);
+    return card;
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const entry of state.outbox.filter((x) => x.expiresAt <= now)) removeOutbox(entry.clipId);
+    $("outboxList").querySelectorAll("[data-expires-at]").forEach((el) => {
+      el.textContent = formatRemaining(Number(el.dataset.expiresAt) - now);
+    });
+  }, 1000);
+
+  function formatBytes(n){
+    const size = Number(n) || 0;
+    if (size < 1024) return size + " B";
+    if (size < 1024 * 1024) return Math.round(size / 1024) + " KB";
+    return (size / 1024 / 1024).toFixed(1) + " MB";
   }
 
   function safeFilename(name, fallback) {
@@ -977,32 +2872,154 @@ const INDEX_HTML = `<!doctype html>
     return s || fallback;
   }
 
-  function renderReceived(){
-    const latest = state.lastClip;
-    if (!latest){
-      $("pendingBox").classList.remove("hidden");
-      $("clipBox").classList.add("hidden");
-      return;
+  // Sender-supplied markup is sanitized before it reaches the DOM. Styles,
+  // classes and ids are dropped so it cannot restyle or clobber the page;
+  // links open in a new tab without a referrer.
+  const SANITIZE = {
+    USE_PROFILES: { html: true },
+    FORBID_TAGS: ["style", "form", "input", "button", "textarea", "select"],
+    FORBID_ATTR: ["style", "class", "id"]
+  };
+  let purifyLoad = null;
+
+  function purifier(){
+    purifyLoad ||= loadLib("DOMPurify").then((purify) => {
+      purify.addHook("afterSanitizeAttributes", (node) => {
+        if (node.tagName === "A" && node.hasAttribute("href")){
+          node.setAttribute("target", "_blank");
+          node.setAttribute("rel", "noopener noreferrer");
+        }
+      });
+      return purify;
+    }, (e) => {
+      purifyLoad = null;
+      throw e;
+    });
+    return purifyLoad;
+  }
+
+  const FORMAT_LABELS = { markdown: "Markdown", html: "HTML" };
+
+  function messageLabel(p){
+    const format = p.format === "code" ? t("format.code") : FORMAT_LABELS[p.format];
+    if (!format) return t("format.text");
+    return p.lang ? t("format.lang", { format, lang: p.lang }) : format;
+  }
+
+  // Returns the element showing a message part, plus what copying writes:
+  // rendered HTML alongside the plain text for markdown and HTML messages.
+  async function renderMessage(p, txt){
+    if (p.format === "markdown" || p.format === "html"){
+      const purify = await purifier();
+      const source = p.format === "markdown" ? (await loadLib("marked")).parse(txt) : txt;
+      const view = document.createElement("div");
+      view.className = "nc-rich mt-2 text-sm rounded-xl p-2 bg-[color:var(--md-surface-2)]";
+      view.innerHTML = purify.sanitize(source, SANITIZE);
+      return { view, html: view.innerHTML, text: p.format === "markdown" ? txt : view.innerText || view.textContent };
+    }
+
+    const pre = document.createElement("pre");
+    pre.className = "mt-2 text-sm rounded-xl p-2 bg-[color:var(--md-surface-2)]";
+    if (p.format === "code"){
+      const hljs = await loadLib("hljs");
+      const result = p.lang && hljs.getLanguage(p.lang)
+        ? hljs.highlight(txt, { language: p.lang, ignoreIllegals: true })
+        : hljs.highlightAuto(txt);
+      const code = document.createElement("code");
+      code.className = "hljs";
+      // highlight.js escapes the source; only its own spans are markup.
+      code.innerHTML = result.value;
+      pre.classList.add("overflow-x-auto");
+      pre.appendChild(code);
+    } else {
+      pre.classList.add("whitespace-pre-wrap");
+      pre.textContent = txt;
+    }
+    return { view: pre, html: "", text: txt };
+  }
+
+  async function copyMessage(out){
+    if (out.html && window.ClipboardItem){
+      try{
+        await navigator.clipboard.write([new ClipboardItem({
+          "text/html": new Blob([out.html], { type: "text/html" }),
+          "text/plain": new Blob([out.text], { type: "text/plain" })
+        })]);
+        return;
+      }catch{}
     }
+    await navigator.clipboard.writeText(out.text).catch(()=>{});
+  }
+
+  function renderReceived(){
+    const items = state.history;
+    $("pendingBox").classList.toggle("hidden", items.length > 0);
+    $("decryptRow").classList.toggle("hidden", !items.some((x) => x.clip?.enc && x.clip.enc.alg !== X25519_ALG));
 
-    $("pendingBox").classList.add("hidden");
-    $("clipBox").classList.remove("hidden");
+    const list = $("historyList");
+    list.innerHTML = "";
+    items.forEach((entry) => list.appendChild(renderClipCard(entry)));
+  }
+
+  function renderClipCard(entry){
+    const clip = entry.clip;
+
+    const card = document.createElement("div");
+    card.className = "rounded-2xl p-3 bg-[color:var(--md-surface)] border border-[color:var(--md-outline)]";
+    card.dataset.clipId = clip.id;
 
-    const clip = latest.clip;
-    $("clipMeta").textContent =
+    const head = document.createElement("div");
+    head.className = "flex items-start justify-between gap-3";
+
+    const info = document.createElement("div");
+    const heading = document.createElement("div");
+    heading.className = "text-sm opacity-80";
+    heading.textContent = t("recv.heading", {
+      time: new Date(entry.expiresAt).toLocaleTimeString(state.locale),
+      extra: (clip.burn ? t("recv.burn") : clip.maxDownloads ? t("recv.maxDownloads", { count: clip.maxDownloads }) : "") +
+        (clip.to ? t("recv.onlyHere") : "")
+    });
+    const meta = document.createElement("div");
+    meta.className = "font-mono text-xs break-all mt-1";
+    const sender = isMailboxId(clip.fromUser) ? clip.fromUser : "";
+    const senderContact = findContact(sender);
+    meta.textContent =
+      (sender ? "from=" + (senderContact ? senderContact.nickname + " (" + sender + ")" : sender) + "  " : "") +
       "clipId=" + clip.id +
-      "  ts=" + new Date(clip.ts).toLocaleString() +
+      "  ts=" + new Date(clip.ts).toLocaleString(state.locale) +
       "  parts=" + (clip.parts?.length || 0);
+    info.appendChild(heading);
+    info.appendChild(meta);
+
+    const delBtn = document.createElement("button");
+    delBtn.className = "h-10 w-10 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80";
+    delBtn.title = t("recv.delete");
+    delBtn.innerHTML = '<span class="ms">delete</span>';
+    delBtn.onclick = () => deleteReceived(clip.id);
+
+    const buttons = document.createElement("div");
+    buttons.className = "flex gap-2 shrink-0";
+    if (sender && sender !== state.userId && !senderContact){
+      const addBtn = document.createElement("button");
+      addBtn.className = "h-10 w-10 rounded-full grid place-items-center border border-[color:var(--md-outline)] hover:opacity-80";
+      addBtn.title = t("recv.addContact");
+      addBtn.innerHTML = '<span class="ms">person_add</span>';
+      addBtn.onclick = () => saveContact(sender).then(renderReceived, (e) => { $("recvHint").textContent = errorText(e); });
+      buttons.appendChild(addBtn);
+    }
+    buttons.appendChild(delBtn);
 
-    $("recvHint").textContent = "";
+    head.appendChild(info);
+    head.appendChild(buttons);
 
-    const hasEnc = !!clip.enc;
-    $("decryptRow").classList.toggle("hidden", !hasEnc);
+    const box = document.createElement("div");
+    box.className = "mt-3 grid gap-3";
 
-    const box = $("partsBox");
-    box.innerHTML = "";
+    card.appendChild(head);
+    card.appendChild(box);
 
-    (clip.parts || []).forEach((p, idx) => {
+    (clip.parts || []).forEach((part, idx) => {
+      const p = partView(clip, part, idx);
       const div = document.createElement("div");
       div.className = "rounded-2xl p-3 border border-[color:var(--md-outline)] bg-[color:var(--md-surface)]";
 
@@ -1014,50 +3031,59 @@ const INDEX_HTML = `<!doctype html>
 
       const icon = document.createElement("span");
       icon.className = "ms";
-      icon.textContent = (p.kind === "image" ? "image" : "description");
+      icon.textContent = p.locked ? "lock"
+        : p.kind === "image" ? "image"
+        : p.kind === "file" ? "attach_file"
+        : p.format === "code" ? "code"
+        : p.format ? "article" : "description";
 
       const label = document.createElement("div");
-      label.className = "font-semibold";
-      label.textContent = (p.kind === "image" ? "圖片" : "文字");
+      label.className = "font-semibold break-all";
+      label.textContent = p.locked
+        ? t("recv.encryptedPart", { index: idx + 1 })
+        : p.kind === "message" ? messageLabel(p) : (p.filename || t(p.kind === "image" ? "recv.image" : "recv.file"));
 
       left.appendChild(icon);
       left.appendChild(label);
 
       const right = document.createElement("div");
-      right.className = "text-xs opacity-70";
-      right.textContent = String(Math.round((Number(p.size) || 0) / 1024)) + " KB";
+      right.className = "text-xs opacity-70 shrink-0";
+      right.textContent = formatBytes(p.plainSize ?? p.size);
 
       title.appendChild(left);
       title.appendChild(right);
 
+      const mimeRow = document.createElement("div");
+      mimeRow.className = "mt-1 font-mono text-xs opacity-70 break-all";
+      mimeRow.textContent = !p.locked
+        ? (p.mime || "application/octet-stream")
+        : t(clip.enc?.alg === X25519_ALG ? "error.not-recipient" : "recv.needPassphrase");
+
       const actions = document.createElement("div");
       actions.className = "mt-2 flex flex-wrap gap-2";
 
       const loadBtn = document.createElement("button");
       loadBtn.className = "rounded-full px-4 py-2 bg-[color:var(--md-primary)] text-[color:var(--md-on-primary)] font-semibold hover:opacity-90";
-      loadBtn.textContent = "載入";
+      loadBtn.textContent = t("recv.load");
       loadBtn.onclick = async () => {
         try{
-          $("recvHint").textContent = "載入中…";
-          let dataU8 = await r2Get(p.r2Key);
-
-          if (clip.enc){
-            const token = $("decryptToken").value;
-            if (!token) throw new Error("需要 access_token 才能解密");
-            const key = await deriveKey(token, clip.enc.saltB64, clip.enc.iter);
-            dataU8 = await decryptBytes(key, p.enc.ivB64, dataU8);
-          }
+          $("recvHint").textContent = t("recv.loading");
 
           if (p.kind === "message"){
-            const txt = new TextDecoder().decode(dataU8);
-            await navigator.clipboard.writeText(txt).catch(()=>{});
-            $("recvHint").textContent = "已載入文字（已嘗試複製到剪貼簿）";
-            const pre = document.createElement("pre");
-            pre.className = "mt-2 whitespace-pre-wrap text-sm rounded-xl p-2 bg-[color:var(--md-surface-2)]";
-            pre.textContent = txt;
-            div.appendChild(pre);
+            const txt = await (await readPartBlob(clip, p, "text/plain;charset=utf-8")).text();
+            let out;
+            let hint = t("recv.loaded", { label: messageLabel(p) });
+            try{
+              out = await renderMessage(p, txt);
+            }catch(e){
+              out = await renderMessage({}, txt);
+              hint = t("recv.loadedAsText", { error: errorText(e) });
+            }
+            await copyMessage(out);
+            $("recvHint").textContent = hint;
+            div.appendChild(out.view);
           } else if (p.kind === "image"){
-            const blob = new Blob([dataU8], { type: p.mime || "image/*" });
+            const blob = await readPartBlob(clip, p, p.mime || "image/*");
             const url = URL.createObjectURL(blob);
 
             const img = document.createElement("img");
@@ -1068,86 +3094,695 @@ const INDEX_HTML = `<!doctype html>
             if (window.ClipboardItem){
               try{
                 await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
-                $("recvHint").textContent = "已載入圖片（已嘗試複製到剪貼簿）";
+                $("recvHint").textContent = t("recv.imageCopied");
               }catch{
-                $("recvHint").textContent = "已載入圖片（此瀏覽器可能不支援直接複製圖片，可用下載）";
+                $("recvHint").textContent = t("recv.imageNoCopy");
               }
             }else{
-              $("recvHint").textContent = "已載入圖片（此瀏覽器可能不支援直接複製圖片，可用下載）";
+              $("recvHint").textContent = t("recv.imageNoCopy");
             }
           }
         }catch(e){
-          $("recvHint").textContent = "載入失敗：" + (e?.message || e);
+          $("recvHint").textContent = t("recv.loadFailed", { error: errorText(e) });
         }
       };
 
       const downloadBtn = document.createElement("button");
       downloadBtn.className = "rounded-full px-4 py-2 border border-[color:var(--md-outline)] hover:opacity-80";
-      downloadBtn.textContent = "下載";
+      downloadBtn.textContent = t("recv.download");
       downloadBtn.onclick = async () => {
+        const filename = (p.kind==="message") ? messageFilename(p) : safeFilename(p.filename, "download");
+        const type = (p.kind==="message") ? "text/plain;charset=utf-8" : (p.mime || "application/octet-stream");
         try{
-          $("recvHint").textContent = "下載中…";
-          let dataU8 = await r2Get(p.r2Key);
-
-          if (clip.enc){
-            const token = $("decryptToken").value;
-            if (!token) throw new Error("需要口令才能解密");
-            const key = await deriveKey(token, clip.enc.saltB64, clip.enc.iter);
-            dataU8 = await decryptBytes(key, p.enc.ivB64, dataU8);
+          if (window.showSaveFilePicker){
+            const handle = await window.showSaveFilePicker({ suggestedName: filename });
+            $("recvHint").textContent = t("recv.downloading");
+            const writable = await handle.createWritable();
+            try{
+              for await (const chunk of readPart(clip, p)) await writable.write(chunk);
+              await writable.close();
+            }catch(e){
+              await writable.abort().catch(()=>{});
+              throw e;
+            }
+            $("recvHint").textContent = t("recv.downloaded");
+            return;
           }
 
-          const blob = new Blob([dataU8], { type: (p.kind==="message") ? "text/plain;charset=utf-8" : (p.mime || "application/octet-stream") });
+          $("recvHint").textContent = t("recv.downloading");
+          const blob = await readPartBlob(clip, p, type);
           const a = document.createElement("a");
           a.href = URL.createObjectURL(blob);
-          a.download = (p.kind==="image") ? safeFilename(p.filename, "image") : "message.txt";
+          a.download = filename;
           document.body.appendChild(a);
           a.click();
           a.remove();
-          $("recvHint").textContent = "已下載";
+          $("recvHint").textContent = t("recv.downloaded");
         }catch(e){
-          $("recvHint").textContent = "下載失敗：" + (e?.message || e);
+          if (e?.name === "AbortError"){
+            $("recvHint").textContent = t("recv.downloadCanceled");
+            return;
+          }
+          $("recvHint").textContent = t("recv.downloadFailed", { error: errorText(e) });
         }
       };
 
-      actions.appendChild(loadBtn);
-      actions.appendChild(downloadBtn);
+      if (!p.locked && p.kind !== "file") actions.appendChild(loadBtn);
+      if (!p.locked) actions.appendChild(downloadBtn);
 
       div.appendChild(title);
+      div.appendChild(mimeRow);
       div.appendChild(actions);
       box.appendChild(div);
     });
+
+    return card;
   }
 
-  $("deleteBtn").addEventListener("click", async () => {
-    const latest = state.lastClip;
-    if (!latest) return;
+  async function deleteReceived(clipId){
     try{
-      $("recvHint").textContent = "刪除中…";
-      await deleteClip(state.userId, latest.clip.id);
-      state.lastClip = null;
+      $("recvHint").textContent = t("recv.deleting");
+      await deleteClip(server, state.userId, clipId, await mailboxProof("delete", clipId));
+      state.history = state.history.filter((x) => x.clip?.id !== clipId);
       renderReceived();
-      $("recvHint").textContent = "已刪除";
+      $("recvHint").textContent = t("recv.deleted");
     }catch(e){
-      $("recvHint").textContent = "刪除失敗：" + (e?.message || e);
+      $("recvHint").textContent = t("recv.deleteFailed", { error: errorText(e) });
     }
+  }
+
+  $("decryptBtn").addEventListener("click", async () => {
+    if (!$("decryptToken").value) return;
+    $("recvHint").textContent = t("recv.decrypting");
+    const failed = await unlockManifests();
+    renderReceived();
+    $("recvHint").textContent = failed ? t("recv.decryptFailed", { count: failed }) : t("recv.passphraseSet");
   });
 
-  $("decryptBtn").addEventListener("click", () => {
-    $("recvHint").textContent = "已設定口令（點載入/下載會解密）";
+  function renderRecipientKeys(keys){
+    const pinned = findContact(receiverInput())?.pinned;
+    const mark = (k) => !pinned ? "" : pinned.some((p) => p.kid === k.kid) ? " ✓" : t("send.notPinned");
+    $("recipientKeys").textContent = !keys
+      ? ""
+      : keys.length
+        ? t("send.receiverKeys", { keys: keys.map((k) => k.deviceId.slice(0, 8) + " " + formatFingerprint(k.kid) + mark(k)).join(t("send.listSeparator")) })
+        : t("send.noReceiverKeys");
+  }
+
+  // Contacts live in IndexedDB. Pinned keys are fingerprints seen when the
+  // contact was saved; saved passphrases are sealed with a key derived from
+  // a master password that is never stored.
+  let masterKey = null;
+
+  function findContact(receiverId){
+    return state.contacts.find((c) => c.receiverId === receiverId) || null;
+  }
+
+  async function loadContacts(){
+    const contacts = await idbGetAll("contacts").catch(() => []);
+    state.contacts = contacts.sort((a, b) => a.nickname.localeCompare(b.nickname));
+    renderContacts();
+  }
+
+  async function putContact(contact){
+    await idbPut("contacts", contact.receiverId, contact);
+    await loadContacts();
+  }
+
+  async function sealText(key, text){
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name:"AES-GCM", iv }, key, new TextEncoder().encode(text));
+    return { ivB64: b64(iv), dataB64: b64(new Uint8Array(data)) };
+  }
+
+  async function openText(key, sealed){
+    return new TextDecoder().decode(await decryptBytes(key, sealed.ivB64, unb64(sealed.dataB64)));
+  }
+
+  // Resolves to the master key, or null when the user cancels. A sealed
+  // check value tells a wrong password apart.
+  async function unlockMaster(){
+    if (masterKey) return masterKey;
+    const stored = await idbGet("keys", "master").catch(() => null);
+
+    if (!stored){
+      const pw = prompt(t("contacts.setMaster"));
+      if (!pw) return null;
+      if (prompt(t("contacts.repeatMaster")) !== pw) throw new Error(t("contacts.masterMismatch"));
+      const enc = { ...KDF_PRESETS.argon2id, saltB64: b64(crypto.getRandomValues(new Uint8Array(16))) };
+      const key = await deriveKey(pw, enc);
+      await idbPut("keys", "master", { enc, check: await sealText(key, "netclip-master") });
+      masterKey = key;
+      return key;
+    }
+
+    const pw = prompt(t("contacts.enterMaster"));
+    if (!pw) return null;
+    const key = await deriveKey(pw, stored.enc);
+    try{
+      await openText(key, stored.check);
+    }catch{
+      if (confirm(t("contacts.resetMaster"))){
+        for (const c of state.contacts.filter((x) => x.passphrase)) await idbPut("contacts", c.receiverId, { ...c, passphrase: null });
+        await idbRequest("keys", "readwrite", (os) => os.delete("master"));
+        await loadContacts();
+      }
+      throw new Error(t("contacts.wrongMaster"));
+    }
+    masterKey = key;
+    return key;
+  }
+
+  async function saveContact(receiverId){
+    if (!isMailboxId(receiverId)) throw new Error(t("app.badCode"));
+    const existing = findContact(receiverId);
+    const nickname = (prompt(t("contacts.nickname"), existing?.nickname || "") || "").trim().slice(0, 40);
+    if (!nickname) return;
+
+    const contact = { receiverId, nickname, pinned: existing?.pinned || null, passphrase: existing?.passphrase || null };
+
+    const keys = await fetchRecipientKeys(server, receiverId).catch(() => []);
+    if (keys.length && confirm(t("contacts.pinKeys", { count: keys.length }))){
+      contact.pinned = keys.map((k) => ({ deviceId: k.deviceId, kid: k.kid }));
+    }
+
+    const token = receiverId === receiverInput() ? $("accessToken").value : "";
+    if (token && confirm(t("contacts.savePassphrase"))){
+      const key = await unlockMaster();
+      if (key) contact.passphrase = await sealText(key, token);
+    }
+
+    await putContact(contact);
+  }
+
+  async function removeContact(contact){
+    if (!confirm(t("contacts.confirmDelete", { name: contact.nickname }))) return;
+    await idbRequest("contacts", "readwrite", (os) => os.delete(contact.receiverId));
+    await loadContacts();
+  }
+
+  async function pickContact(contact){
+    $("receiverId").value = contact.receiverId;
+    $("receiverId").dispatchEvent(new Event("input"));
+    $("accessToken").value = "";
+    if (!contact.passphrase) return;
+    try{
+      const key = await unlockMaster();
+      if (key) $("accessToken").value = await openText(key, contact.passphrase);
+    }catch(e){
+      $("sendHint").textContent = errorText(e);
+    }
+  }
+
+  // Returns the keys to seal to. For a contact with pinned keys, unknown
+  // fingerprints need confirmation first.
+  async function checkPinnedKeys(receiverId){
+    const pinned = findContact(receiverId)?.pinned;
+    if (!pinned) return undefined;
+    const keys = await fetchRecipientKeys(server, receiverId);
+    renderRecipientKeys(keys);
+    const unknown = keys.filter((k) => !pinned.some((p) => p.kid === k.kid));
+    if (unknown.length && !confirm(t("contacts.unpinned", {
+      count: unknown.length,
+      keys: unknown.map((k) => formatFingerprint(k.kid)).join(t("send.listSeparator"))
+    }))){
+      throw new Error(t("contacts.keyMismatch"));
+    }
+    return keys;
+  }
+
+  function renderContacts(){
+    const box = $("contactChips");
+    box.innerHTML = "";
+    box.classList.toggle("hidden", !state.contacts.length);
+    for (const contact of state.contacts){
+      const chip = document.createElement("span");
+      chip.className = "inline-flex items-center rounded-full border border-[color:var(--md-outline)] text-sm";
+
+      const pick = document.createElement("button");
+      pick.className = "pl-3 pr-1 py-1 flex items-center gap-1 hover:opacity-80";
+      pick.title = contact.receiverId;
+      pick.textContent = contact.nickname;
+      if (contact.pinned) pick.insertAdjacentHTML("beforeend", '<span class="ms text-base" title="' + t("contacts.pinned") + '">verified</span>');
+      if (contact.passphrase) pick.insertAdjacentHTML("beforeend", '<span class="ms text-base" title="' + t("contacts.hasPassphrase") + '">lock</span>');
+      pick.onclick = () => pickContact(contact);
+
+      const remove = document.createElement("button");
+      remove.className = "pr-2 pl-1 py-1 opacity-60 hover:opacity-100";
+      remove.title = t("contacts.delete");
+      remove.innerHTML = '<span class="ms text-base">close</span>';
+      remove.onclick = () => removeContact(contact);
+
+      chip.appendChild(pick);
+      chip.appendChild(remove);
+      box.appendChild(chip);
+    }
+  }
+
+  // Third-party libraries load from jsDelivr on first use, pinned by SRI.
+  const LIBS = {
+    DOMPurify: {
+      src: "https://cdn.jsdelivr.net/npm/dompurify@3.2.6/dist/purify.min.js",
+      integrity: "sha384-JEyTNhjM6R1ElGoJns4U2Ln4ofPcqzSsynQkmEc/KGy6336qAZl70tDLufbkla+3"
+    },
+    marked: {
+      src: "https://cdn.jsdelivr.net/npm/marked@15.0.12/lib/marked.umd.js",
+      integrity: "sha384-fGlgqlm/GUgiVEyV6lvBJbxjprBPT1g0VoE9o/FjCWntEwOQYGqANQdFeFlqbObP"
+    },
+    hljs: {
+      src: "https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.11.1/highlight.min.js",
+      integrity: "sha384-RH2xi4eIQ/gjtbs9fUXM68sLSi99C7ZWBRX1vDrVv6GQXRibxXLbwO2NGZB74MbU"
+    },
+    qrcode: {
+      src: "https://cdn.jsdelivr.net/npm/qrcode-generator@2.0.4/dist/qrcode.js",
+      integrity: "sha384-e9EFD6BGC90bkW9aDV5xbbBfzwN7G8YImHao2lfLVKV/hPB0E0go+H3I64h7oHtA"
+    },
+    jsQR: {
+      src: "https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js",
+      integrity: "sha384-b5Ya4Bq3qCyz39m2ISh+4DxjAIljdeFwK/BsXLuj9gugaNwAcj/ia15fxNZL9Nlx"
+    }
+  };
+  const libLoads = new Map();
+
+  function loadLib(name){
+    if (window[name]) return Promise.resolve(window[name]);
+    if (!libLoads.has(name)){
+      libLoads.set(name, new Promise((resolve, reject) => {
+        const el = document.createElement("script");
+        el.src = LIBS[name].src;
+        el.integrity = LIBS[name].integrity;
+        el.crossOrigin = "anonymous";
+        el.onload = () => resolve(window[name]);
+        el.onerror = () => {
+          libLoads.delete(name);
+          el.remove();
+          reject(new Error(t("lib.failed", { name })));
+        };
+        document.head.appendChild(el);
+      }));
+    }
+    return libLoads.get(name);
+  }
+
+  // QR pairing. The code is a link to this page with ?to=<userId>, plus an
+  // optional one-time passphrase in the #k= fragment, which never reaches
+  // the server.
+  let qrKey = "";
+  let scanStream = null;
+
+  function pairingUrl(){
+    return location.origin + "/?to=" + state.userId + (qrKey ? "#k=" + encodeURIComponent(qrKey) : "");
+  }
+
+  function parsePairing(text){
+    const raw = String(text || "").trim();
+    if (isMailboxId(normalizeMailboxId(raw))) return { to: normalizeMailboxId(raw), key: "" };
+    try{
+      const url = new URL(raw);
+      const to = normalizeMailboxId(url.searchParams.get("to"));
+      if (isMailboxId(to)) return { to, key: new URLSearchParams(url.hash.slice(1)).get("k") || "" };
+    }catch{}
+    return null;
+  }
+
+  function applyPairing(pairing){
+    showView("send");
+    $("receiverId").value = pairing.to;
+    $("receiverId").dispatchEvent(new Event("input"));
+    if (pairing.key) $("accessToken").value = pairing.key;
+    $("sendHint").textContent = t(pairing.key ? "send.pairingFilledKey" : "send.pairingFilled", { to: pairing.to });
+  }
+
+  function openQR(mode){
+    $("qrOverlay").classList.remove("hidden");
+    $("qrShow").classList.toggle("hidden", mode !== "show");
+    $("qrScan").classList.toggle("hidden", mode !== "scan");
+    $("qrTitle").textContent = t(mode === "show" ? "qr.showTitle" : "qr.scanTitle");
+  }
+
+  function stopScan(){
+    if (scanStream) scanStream.getTracks().forEach((t) => t.stop());
+    scanStream = null;
+    $("qrVideo").srcObject = null;
+  }
+
+  function closeQR(){
+    stopScan();
+    $("qrOverlay").classList.add("hidden");
+  }
+
+  async function renderPairingQR(){
+    const url = pairingUrl();
+    $("qrText").textContent = url;
+    try{
+      const qrcode = await loadLib("qrcode");
+      const qr = qrcode(0, "M");
+      qr.addData(url);
+      qr.make();
+      const img = document.createElement("img");
+      img.className = "w-full h-auto";
+      img.alt = url;
+      img.src = qr.createDataURL(6, 2);
+      $("qrImage").innerHTML = "";
+      $("qrImage").appendChild(img);
+    }catch(e){
+      $("qrImage").textContent = errorText(e);
+    }
+  }
+
+  // BarcodeDetector where the browser has it, jsQR on a canvas otherwise.
+  async function qrDetector(){
+    if (window.BarcodeDetector && (await BarcodeDetector.getSupportedFormats()).includes("qr_code")){
+      const detector = new BarcodeDetector({ formats: ["qr_code"] });
+      return async (video) => (await detector.detect(video))[0]?.rawValue || "";
+    }
+    const jsQR = await loadLib("jsQR");
+    const canvas = document.createElement("canvas");
+    const ctx2d = canvas.getContext("2d", { willReadFrequently: true });
+    return async (video) => {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      ctx2d.drawImage(video, 0, 0);
+      const img = ctx2d.getImageData(0, 0, canvas.width, canvas.height);
+      return jsQR(img.data, img.width, img.height, { inversionAttempts: "dontInvert" })?.data || "";
+    };
+  }
+
+  async function startScan(){
+    openQR("scan");
+    $("qrScanHint").textContent = t("qr.starting");
+    try{
+      const detect = await qrDetector();
+      scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+      const video = $("qrVideo");
+      video.srcObject = scanStream;
+      await video.play();
+      $("qrScanHint").textContent = t("qr.aim");
+
+      while (scanStream){
+        await new Promise((r) => setTimeout(r, 250));
+        if (!scanStream || video.readyState < 2) continue;
+        const text = await detect(video);
+        if (!text) continue;
+        const pairing = parsePairing(text);
+        if (pairing){
+          closeQR();
+          applyPairing(pairing);
+          return;
+        }
+        $("qrScanHint").textContent = t("qr.notPairing");
+      }
+    }catch(e){
+      stopScan();
+      $("qrScanHint").textContent = t("qr.failed", { error: e?.name === "NotAllowedError" ? t("qr.cameraDenied") : errorText(e) });
+    }
+  }
+
+  $("qrShowBtn").addEventListener("click", () => {
+    openQR("show");
+    renderPairingQR();
+  });
+
+  $("qrWithKey").addEventListener("change", () => {
+    qrKey = $("qrWithKey").checked ? b64(crypto.getRandomValues(new Uint8Array(18))) : "";
+    if (qrKey){
+      $("decryptToken").value = qrKey;
+      unlockManifests().then(renderReceived);
+    }
+    renderPairingQR();
+  });
+
+  $("qrScanBtn").addEventListener("click", startScan);
+  $("qrCloseBtn").addEventListener("click", closeQR);
+  $("qrOverlay").addEventListener("click", (e) => {
+    if (e.target === $("qrOverlay")) closeQR();
+  });
+
+  $("saveContactBtn").addEventListener("click", async () => {
+    try{
+      await saveContact(receiverInput());
+      renderReceived();
+    }catch(e){
+      $("sendHint").textContent = t("send.error", { error: errorText(e) });
+    }
+  });
+
+  function deviceLabel(d){
+    return d.name || t("devices.device", { id: d.deviceId.slice(0, 8) });
+  }
+
+  function renderDevices(){
+    const list = $("deviceList");
+    list.innerHTML = "";
+    if (!state.devices.length){
+      list.textContent = t("devices.afterConnect");
+      list.classList.add("opacity-70");
+    } else {
+      list.classList.remove("opacity-70");
+    }
+    for (const d of state.devices){
+      const row = document.createElement("div");
+      row.className = "flex items-center gap-2";
+
+      const dot = document.createElement("span");
+      dot.className = "inline-block w-2 h-2 rounded-full shrink-0";
+      dot.style.background = d.online ? "var(--md-primary)" : "var(--md-outline)";
+
+      const name = document.createElement("span");
+      name.className = "font-semibold break-all";
+      name.textContent = d.deviceId === state.deviceId ? t("devices.thisDevice", { name: deviceLabel(d) }) : deviceLabel(d);
+
+      const seen = document.createElement("span");
+      seen.className = "text-xs opacity-70 shrink-0";
+      seen.textContent = d.online ? t("devices.online") : t("devices.lastSeen", { time: new Date(d.lastSeen).toLocaleString(state.locale) });
+
+      row.appendChild(dot);
+      row.appendChild(name);
+      row.appendChild(seen);
+      list.appendChild(row);
+    }
+    renderTargets();
+  }
+
+  // Targeting a single device only makes sense for our own mailbox, where
+  // the presence list is known.
+  function renderTargets(){
+    const select = $("targetDevice");
+    const current = select.value;
+    const own = receiverInput() === state.userId;
+    const others = state.devices.filter((d) => d.deviceId !== state.deviceId);
+
+    select.innerHTML = "";
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = t("devices.all");
+    select.appendChild(all);
+    for (const d of others){
+      const opt = document.createElement("option");
+      opt.value = d.deviceId;
+      opt.textContent = d.online ? deviceLabel(d) : t("devices.offline", { name: deviceLabel(d) });
+      select.appendChild(opt);
+    }
+    select.value = others.some((d) => d.deviceId === current) ? current : "";
+    $("targetRow").classList.toggle("hidden", !own || !others.length);
+  }
+
+  $("deviceNameBtn").addEventListener("click", () => {
+    const v = prompt(t("devices.renamePrompt"), state.deviceName);
+    if (v === null) return;
+    state.deviceName = v.trim().slice(0, 40);
+    localStorage.setItem("nc_device_name", state.deviceName);
+    state.ws?.setName(state.deviceName);
+  });
+
+  const pushSupported = () => "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+  async function pushSubscription(){
+    if (!pushSupported()) return null;
+    const reg = await navigator.serviceWorker.getRegistration();
+    return reg ? reg.pushManager.getSubscription() : null;
+  }
+
+  async function renderPushBtn(){
+    const btn = $("pushBtn");
+    btn.classList.toggle("hidden", !state.pushKey || !pushSupported());
+    if (!state.pushKey || !pushSupported()) return;
+    const sub = await pushSubscription().catch(() => null);
+    btn.textContent = t(sub ? "push.disable" : "push.enable");
+  }
+
+  // Pushes only reach devices without an open page, so this is what lets a
+  // phone in a pocket hear about new clips.
+  $("pushBtn").addEventListener("click", async () => {
+    try{
+      const reg = await navigator.serviceWorker.ready;
+      const sub = await reg.pushManager.getSubscription();
+      if (sub){
+        await sub.unsubscribe();
+        state.ws?.setPush(null);
+      } else if (await Notification.requestPermission() !== "granted"){
+        $("recvHint").textContent = t("push.denied");
+      } else {
+        const key = Uint8Array.from(atob(state.pushKey.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+        const next = await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key });
+        state.ws?.setPush(next.toJSON(), state.locale);
+      }
+    }catch(e){
+      $("recvHint").textContent = t("push.failedWith", { error: errorText(e) });
+    }
+    renderPushBtn();
+  });
+
+  $("receiverId").addEventListener("input", async () => {
+    const receiverId = receiverInput();
+    renderTargets();
+    renderRecipientKeys(null);
+    if (!isMailboxId(receiverId)) return;
+    try{
+      const keys = await fetchRecipientKeys(server, receiverId);
+      if (receiverInput() === receiverId) renderRecipientKeys(keys);
+    }catch{}
+  });
+
+  function renderOwnKey(){
+    deviceKeys().then((keys) => {
+      $("deviceKeyFp").textContent = keys
+        ? t("devices.ownKey", { kid: formatFingerprint(keys.kid) })
+        : t("devices.noX25519");
+    });
+  }
+
+  // Everything drawn from script state is redrawn in the new language;
+  // one-off hints keep the language they were shown in.
+  $("langSelect").addEventListener("change", () => {
+    state.locale = $("langSelect").value;
+    localStorage.setItem("nc_lang", state.locale);
+    applyLocale();
+    setConnStatus(state.conn.connected, state.conn.key);
+    renderOwnKey();
+    renderDevices();
+    renderContacts();
+    renderOutbox();
+    renderReceived();
+    renderPushBtn();
+    $("receiverId").dispatchEvent(new Event("input"));
+    if (state.pushKey) pushSubscription().then((sub) => { if (sub) state.ws?.setPush(sub.toJSON(), state.locale); }).catch(() => {});
+  });
+
+  applyMaxTtl(Number(localStorage.getItem("nc_max_ttl")) || 86400);
+  $("kdfSelect").value = KDF_PRESETS[localStorage.getItem("nc_kdf")] ? localStorage.getItem("nc_kdf") : "argon2id";
+  $("kdfSelect").addEventListener("change", () => {
+    localStorage.setItem("nc_kdf", $("kdfSelect").value);
   });
 
   applyTheme();
+  for (const locale of LOCALES){
+    const opt = document.createElement("option");
+    opt.value = locale;
+    opt.textContent = LOCALE_NAMES[locale];
+    $("langSelect").appendChild(opt);
+  }
+  state.locale = loadLocale();
+  applyLocale();
+  renderOwnKey();
 
   state.deviceId = loadDeviceId();
+  state.deviceName = loadDeviceName();
+  $("idFormat").value = loadIdFormat();
   state.userId = loadUserId();
   $("userId").value = state.userId;
   state.dirtyUserId = false;
   setUserIdIcon();
 
   showView("send");
-  connectWS();
+  // Receipts for earlier sends arrive right after authenticating.
+  loadOutbox().then(connectWS);
+  const contactsReady = loadContacts();
+  contactsReady.then(renderReceived);
   renderReceived();
+
+  // Opened from a pairing QR code: take the code and key, then drop them
+  // from the address bar and history.
+  const pairing = location.search ? parsePairing(location.href) : null;
+  if (pairing){
+    history.replaceState(null, "", location.pathname);
+    applyPairing(pairing);
+  }
+
+  // Opened from a new-clip notification.
+  if (new URLSearchParams(location.search).get("view") === "recv"){
+    history.replaceState(null, "", location.pathname);
+    showView("recv");
+  }
+
+  const shareMode = new URLSearchParams(location.search).get("share");
+  if (shareMode){
+    contactsReady.then(() => receiveShare(shareMode)).catch(() => {}).finally(() => {
+      history.replaceState(null, "", location.pathname);
+    });
+  }
+  if ("serviceWorker" in navigator) navigator.serviceWorker.register("/sw.js").catch(() => {});
+  renderDevices();
 })();
 </script>
+
 </body>
 </html>`;
+
+export class RateLimiterDO extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.sql = ctx.storage.sql;
+    this.sql.exec(`CREATE TABLE IF NOT EXISTS buckets (
+      name TEXT PRIMARY KEY,
+      tokens REAL NOT NULL,
+      period_ms INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )`);
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (url.pathname === "/take" && request.method === "POST") {
+      const body = await request.json().catch(() => null);
+      if (!body) return err(400, "bad-json");
+      return ok(await this._take(body));
+    }
+    return err(404, "not-found");
+  }
+
+  async alarm() {
+    this.sql.exec("DELETE FROM buckets WHERE updated_at + period_ms <= ?", Date.now());
+    await this._syncAlarm();
+  }
+
+  async _take({ bucket, capacity, periodMs, cost = 1 }) {
+    const now = Date.now();
+    const row = this.sql.exec("SELECT tokens, updated_at FROM buckets WHERE name = ?", bucket).toArray()[0];
+
+    let tokens = capacity;
+    if (row) tokens = Math.min(capacity, row.tokens + ((now - row.updated_at) * capacity) / periodMs);
+
+    const allowed = tokens >= cost;
+    if (allowed) tokens -= cost;
+
+    this.sql.exec(
+      "INSERT OR REPLACE INTO buckets (name, tokens, period_ms, updated_at) VALUES (?, ?, ?, ?)",
+      bucket,
+      tokens,
+      periodMs,
+      now
+    );
+    await this._syncAlarm();
+
+    if (allowed) return { allowed: true };
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil((((cost - tokens) * periodMs) / capacity) / 1000)) };
+  }
+
+  // A bucket untouched for a full period is full again, so its row can go.
+  async _syncAlarm() {
+    const next = this.sql.exec("SELECT MIN(updated_at + period_ms) AS at FROM buckets").toArray()[0]?.at;
+    if (next == null) await this.ctx.storage.deleteAlarm();
+    else if ((await this.ctx.storage.getAlarm()) == null) await this.ctx.storage.setAlarm(next);
+  }
+}
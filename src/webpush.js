@@ -0,0 +1,141 @@
+// Web Push delivery (RFC 8030) with VAPID authentication (RFC 8292) and
+// aes128gcm payload encryption (RFC 8291), using WebCrypto only.
+
+const RECORD_SIZE = 4096;
+const MAX_PAYLOAD_BYTES = 3000;
+const JWT_TTL_SEC = 12 * 60 * 60;
+const ENDPOINT_MAX_CHARS = 1024;
+
+const enc = new TextEncoder();
+
+function b64url(u8) {
+  let s = "";
+  for (const b of u8) s += String.fromCharCode(b);
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromB64url(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  for (const p of parts) {
+    out.set(p, off);
+    off += p.length;
+  }
+  return out;
+}
+
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey("raw", ikm, "HKDF", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "HKDF", hash: "SHA-256", salt, info }, key, length * 8);
+  return new Uint8Array(bits);
+}
+
+// VAPID_PUBLIC_KEY is the uncompressed P-256 point and VAPID_PRIVATE_KEY the
+// private scalar, both base64url (the format `web-push generate-vapid-keys`
+// prints). Returns null when push is not configured.
+export function vapidKeys(env) {
+  const publicKey = String(env.VAPID_PUBLIC_KEY || "").trim();
+  const privateKey = String(env.VAPID_PRIVATE_KEY || "").trim();
+  if (!publicKey || !privateKey) return null;
+  return { publicKey, privateKey, subject: String(env.VAPID_SUBJECT || "").trim() };
+}
+
+// Checks a browser PushSubscription (as from toJSON()) and returns
+// { endpoint, p256dh, auth }, or null. Plain http is only accepted for
+// localhost so a stub push service can be used in development.
+export function parseSubscription(sub) {
+  const endpoint = sub?.endpoint;
+  if (typeof endpoint !== "string" || endpoint.length > ENDPOINT_MAX_CHARS) return null;
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return null;
+  }
+  const local = url.hostname === "localhost" || url.hostname === "127.0.0.1";
+  if (url.protocol !== "https:" && !(local && url.protocol === "http:")) return null;
+
+  const { p256dh, auth } = sub.keys || {};
+  if (typeof p256dh !== "string" || typeof auth !== "string") return null;
+  try {
+    const point = fromB64url(p256dh);
+    if (point.length !== 65 || point[0] !== 4 || fromB64url(auth).length !== 16) return null;
+  } catch {
+    return null;
+  }
+  return { endpoint, p256dh, auth };
+}
+
+async function vapidAuthorization(endpoint, vapid) {
+  const pub = fromB64url(vapid.publicKey);
+  const jwk = {
+    kty: "EC",
+    crv: "P-256",
+    x: b64url(pub.slice(1, 33)),
+    y: b64url(pub.slice(33, 65)),
+    d: vapid.privateKey,
+  };
+  const key = await crypto.subtle.importKey("jwk", jwk, { name: "ECDSA", namedCurve: "P-256" }, false, ["sign"]);
+
+  const claims = { aud: new URL(endpoint).origin, exp: Math.floor(Date.now() / 1000) + JWT_TTL_SEC };
+  if (vapid.subject) claims.sub = vapid.subject;
+  const unsigned = `${b64url(enc.encode(JSON.stringify({ typ: "JWT", alg: "ES256" })))}.${b64url(enc.encode(JSON.stringify(claims)))}`;
+  // WebCrypto's ECDSA signature is already the r || s form JWS expects.
+  const sig = new Uint8Array(await crypto.subtle.sign({ name: "ECDSA", hash: "SHA-256" }, key, enc.encode(unsigned)));
+  return `vapid t=${unsigned}.${b64url(sig)}, k=${vapid.publicKey}`;
+}
+
+// Encrypts one aes128gcm record for the subscription's keys.
+export async function encryptPayload(subscription, plaintext) {
+  if (plaintext.length > MAX_PAYLOAD_BYTES) throw new Error("Push payload too large.");
+
+  const uaPublic = fromB64url(subscription.p256dh);
+  const authSecret = fromB64url(subscription.auth);
+  const ecdh = { name: "ECDH", namedCurve: "P-256" };
+  const local = await crypto.subtle.generateKey(ecdh, true, ["deriveBits"]);
+  const asPublic = new Uint8Array(await crypto.subtle.exportKey("raw", local.publicKey));
+  const uaKey = await crypto.subtle.importKey("raw", uaPublic, ecdh, false, []);
+  const shared = new Uint8Array(await crypto.subtle.deriveBits({ name: "ECDH", public: uaKey }, local.privateKey, 256));
+
+  const ikm = await hkdf(authSecret, shared, concat(enc.encode("WebPush: info\0"), uaPublic, asPublic), 32);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const cek = await hkdf(salt, ikm, enc.encode("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = await hkdf(salt, ikm, enc.encode("Content-Encoding: nonce\0"), 12);
+
+  const key = await crypto.subtle.importKey("raw", cek, "AES-GCM", false, ["encrypt"]);
+  // A single record, closed with the last-record delimiter.
+  const record = concat(plaintext, new Uint8Array([2]));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv: nonce }, key, record));
+
+  const header = new Uint8Array(21);
+  header.set(salt);
+  new DataView(header.buffer).setUint32(16, RECORD_SIZE);
+  header[20] = asPublic.length;
+  return concat(header, asPublic, ciphertext);
+}
+
+// Posts `payload` as JSON to the subscription's push service and resolves to
+// its status; 404 and 410 mean the subscription is gone.
+export async function sendWebPush(subscription, payload, vapid, { ttl = 60, urgency = "high" } = {}) {
+  const body = await encryptPayload(subscription, enc.encode(JSON.stringify(payload)));
+  const res = await fetch(subscription.endpoint, {
+    method: "POST",
+    headers: {
+      authorization: await vapidAuthorization(subscription.endpoint, vapid),
+      "content-encoding": "aes128gcm",
+      "content-type": "application/octet-stream",
+      ttl: String(ttl),
+      urgency,
+    },
+    body,
+  });
+  await res.body?.cancel();
+  return res.status;
+}
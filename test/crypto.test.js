@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import {
+  KDF_PRESETS,
+  STREAM_CHUNK_BYTES,
+  argon2id,
+  b64,
+  concatBytes,
+  decryptRecords,
+  deriveKey,
+  encryptRecords,
+  streamCipherSize,
+} from "../public/sdk/netclip.js";
+
+function hex(u8) {
+  return Array.from(u8, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function streamOf(u8) {
+  return new Blob([u8]).stream();
+}
+
+async function decryptAll(key, nonce, cipher, cipherSize = cipher.byteLength) {
+  const out = [];
+  for await (const plain of decryptRecords(key, b64(nonce), STREAM_CHUNK_BYTES, cipherSize, streamOf(cipher))) {
+    out.push(plain);
+  }
+  return concatBytes(out);
+}
+
+async function aesKey() {
+  return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+}
+
+describe("argon2id", () => {
+  it("matches the RFC 9106 test vector", () => {
+    const tag = argon2id(new Uint8Array(32).fill(1), new Uint8Array(16).fill(2), {
+      t: 3,
+      m: 32,
+      p: 4,
+      dkLen: 32,
+      secret: new Uint8Array(8).fill(3),
+      ad: new Uint8Array(12).fill(4),
+    });
+    expect(hex(tag)).toBe("0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659");
+  });
+});
+
+describe("deriveKey", () => {
+  it("derives the same PBKDF2 key from the same passphrase", async () => {
+    const enc = { alg: "PBKDF2-AESGCM", iter: 1000, hash: "SHA-256", saltB64: b64(new Uint8Array(16).fill(7)) };
+    const iv = new Uint8Array(12);
+    const sealed = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await deriveKey("pw", enc), new Uint8Array([42]));
+
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, await deriveKey("pw", enc), sealed);
+    expect([...new Uint8Array(plain)]).toEqual([42]);
+    await expect(crypto.subtle.decrypt({ name: "AES-GCM", iv }, await deriveKey("other", enc), sealed)).rejects.toThrow();
+  });
+
+  it("refuses Argon2id costs other than the preset's", async () => {
+    const saltB64 = b64(new Uint8Array(16));
+    for (const costs of [{ m: 262144 }, { t: 10 }, { p: 4 }, { m: "19456" }]) {
+      const enc = { ...KDF_PRESETS.argon2id, ...costs, saltB64 };
+      await expect(deriveKey("pw", enc)).rejects.toMatchObject({ code: "bad-kdf" });
+    }
+  });
+});
+
+describe("stream records", () => {
+  const plain = Uint8Array.from({ length: 2 * STREAM_CHUNK_BYTES + 100 }, (_, i) => (i * 7) & 255);
+  const nonce = crypto.getRandomValues(new Uint8Array(7));
+
+  it("round-trips a multi-record part", async () => {
+    const key = await aesKey();
+    const cipher = await encryptRecords(key, nonce, new Blob([plain]), 0, Infinity);
+    expect(cipher.byteLength).toBe(streamCipherSize(plain.byteLength, STREAM_CHUNK_BYTES));
+    expect(await decryptAll(key, nonce, cipher)).toEqual(plain);
+  });
+
+  it("rejects truncated ciphertext", async () => {
+    const key = await aesKey();
+    const cipher = await encryptRecords(key, nonce, new Blob([plain]), 0, Infinity);
+    const cut = cipher.slice(0, 2 * (STREAM_CHUNK_BYTES + 16));
+
+    await expect(decryptAll(key, nonce, cut, cipher.byteLength)).rejects.toMatchObject({ code: "bad-ciphertext" });
+    // Even when the size is cut to match, the last record left is not marked final.
+    await expect(decryptAll(key, nonce, cut)).rejects.toThrow();
+  });
+
+  it("rejects reordered records", async () => {
+    const key = await aesKey();
+    const cipher = await encryptRecords(key, nonce, new Blob([plain]), 0, Infinity);
+    const record = STREAM_CHUNK_BYTES + 16;
+    const swapped = concatBytes([cipher.slice(record, 2 * record), cipher.slice(0, record), cipher.slice(2 * record)]);
+
+    await expect(decryptAll(key, nonce, swapped)).rejects.toThrow();
+  });
+});
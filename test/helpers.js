@@ -0,0 +1,146 @@
+import { env, exports } from "cloudflare:workers";
+
+export const ORIGIN = "https://netclipboard.test";
+
+export function randomMailbox() {
+  return String(Math.floor(Math.random() * 1000000)).padStart(6, "0");
+}
+
+export function randomClipId() {
+  return crypto.randomUUID();
+}
+
+export function mailboxStub(receiverId) {
+  return env.MAILBOX.get(env.MAILBOX.idFromName(receiverId));
+}
+
+export function fetchWorker(path, init) {
+  return exports.default.fetch(new Request(ORIGIN + path, init));
+}
+
+export async function request(path, init) {
+  const res = await fetchWorker(path, init);
+  return { status: res.status, body: await res.json() };
+}
+
+export function postJson(path, body) {
+  return request(path, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+// Reserves tickets and uploads each part; returns the clip parts to send.
+export async function uploadParts(receiverId, clipId, files) {
+  const prepared = await postJson("/api/clip/prepare", {
+    receiverId,
+    clipId,
+    parts: files.map((f) => ({ name: f.name, size: f.data.byteLength })),
+  });
+  if (prepared.status !== 200) throw new Error(`prepare failed: ${JSON.stringify(prepared.body)}`);
+
+  const parts = [];
+  for (const f of files) {
+    const t = prepared.body.tickets.find((x) => x.name === f.name);
+    const put = await request(`/api/r2/${encodeURIComponent(t.key)}?t=${encodeURIComponent(t.ticket)}`, {
+      method: "PUT",
+      headers: { "content-length": String(f.data.byteLength) },
+      body: f.data,
+    });
+    if (put.status !== 200) throw new Error(`upload failed: ${JSON.stringify(put.body)}`);
+    parts.push({ kind: f.kind || "message", mime: f.mime, filename: f.filename, r2Key: t.key, ticket: t.ticket });
+  }
+  return parts;
+}
+
+// Starts a multipart upload on a ticket for `size` bytes.
+export async function startMultipart(size, receiverId = randomMailbox()) {
+  const clipId = randomClipId();
+  const prepared = await postJson("/api/clip/prepare", {
+    receiverId,
+    clipId,
+    parts: [{ name: "file-0", size, multipart: true }],
+  });
+  const t = prepared.body.tickets[0];
+  const base = `/api/r2/${encodeURIComponent(t.key)}?t=${encodeURIComponent(t.ticket)}`;
+  const { uploadId } = (await request(`${base}&mpu=create`, { method: "POST" })).body;
+  const upload = `${base}&uploadId=${encodeURIComponent(uploadId)}`;
+  return {
+    key: t.key,
+    markerKey: `uploads/${receiverId}/${clipId}/file-0.bin`,
+    base,
+    uploadId,
+    putPart: (partNumber, length) =>
+      request(`${upload}&mpu=part&partNumber=${partNumber}`, {
+        method: "PUT",
+        headers: { "content-length": String(length) },
+        body: new Uint8Array(length),
+      }),
+    abort: () => request(`${upload}&mpu=abort`, { method: "DELETE" }),
+  };
+}
+
+// `extra` is merged into the clip, `body` into the send request.
+export async function sendText(receiverId, text, extra = {}, body = {}) {
+  const clipId = extra.id || randomClipId();
+  const parts = await uploadParts(receiverId, clipId, [{ name: "message", data: new TextEncoder().encode(text) }]);
+  const clip = { id: clipId, ts: Date.now(), enc: null, parts, ...extra };
+  const res = await postJson("/api/clip/send", { receiverId, clip, ...body });
+  return { ...res, clipId, keys: parts.map((p) => p.r2Key) };
+}
+
+export async function objectExists(key) {
+  return (await env.CLIP_BUCKET.head(key)) !== null;
+}
+
+async function hmacB64(secretB64, message) {
+  const raw = Uint8Array.from(atob(secretB64), (c) => c.charCodeAt(0));
+  const key = await crypto.subtle.importKey("raw", raw, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message)));
+  return btoa(String.fromCharCode(...sig));
+}
+
+export function newOwnerSecret() {
+  return btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(32))));
+}
+
+export async function ownerProof(secretB64, action, subject) {
+  const ts = Date.now();
+  return { ts, proof: await hmacB64(secretB64, `${action}:${ts}:${subject}`) };
+}
+
+/**
+ * Opens a mailbox WebSocket and claims (or authenticates to) it with
+ * `secret`. next(type) resolves with the next message of that type; the
+ * history sent on connect is returned as `history`.
+ */
+export async function connect(userId, secret, deviceId = crypto.randomUUID()) {
+  const res = await fetchWorker(`/ws?user=${userId}&device=${deviceId}`, { headers: { Upgrade: "websocket" } });
+  const ws = res.webSocket;
+  if (!ws) throw new Error(`WebSocket upgrade failed (${res.status})`);
+
+  const queue = [];
+  const waiters = [];
+  ws.addEventListener("message", (evt) => {
+    const msg = JSON.parse(evt.data);
+    if (msg.type === "hello" && !msg.claimed) ws.send(JSON.stringify({ type: "claim", secretB64: secret }));
+    if (msg.type === "hello" && msg.claimed) {
+      hmacB64(secret, `ws:${msg.nonce}`).then((proof) => ws.send(JSON.stringify({ type: "auth", proof })));
+    }
+    const i = waiters.findIndex((w) => w.type === msg.type);
+    if (i >= 0) waiters.splice(i, 1)[0].resolve(msg);
+    else queue.push(msg);
+  });
+  ws.accept();
+
+  const next = (type) => {
+    const i = queue.findIndex((m) => m.type === type);
+    if (i >= 0) return Promise.resolve(queue.splice(i, 1)[0]);
+    return new Promise((resolve) => waiters.push({ type, resolve }));
+  };
+
+  await next("authed");
+  const history = await next("history");
+  return { ws, next, history, close: () => ws.close() };
+}
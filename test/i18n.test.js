@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { LOCALES, MESSAGES, pickLocale, translate } from "../public/i18n/messages.js";
+import { fetchWorker, randomClipId, randomMailbox } from "./helpers.js";
+
+function placeholders(text) {
+  return [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+}
+
+async function sendEmptyClip(acceptLanguage) {
+  const headers = { "content-type": "application/json" };
+  if (acceptLanguage) headers["accept-language"] = acceptLanguage;
+  const res = await fetchWorker("/api/clip/send", {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ receiverId: randomMailbox(), clip: { id: randomClipId(), parts: [] } }),
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+describe("message catalog", () => {
+  it("translates every English entry with the same placeholders", () => {
+    for (const locale of LOCALES) {
+      for (const [key, text] of Object.entries(MESSAGES.en)) {
+        expect(MESSAGES[locale], `${locale} ${key}`).toHaveProperty([key]);
+        expect(placeholders(MESSAGES[locale][key]), `${locale} ${key}`).toEqual(placeholders(text));
+      }
+    }
+  });
+
+  it("picks a locale from Accept-Language or navigator.languages", () => {
+    expect(pickLocale("fr-CH, fr;q=0.9, zh-TW;q=0.8, en;q=0.7")).toBe("zh-TW");
+    expect(pickLocale("zh-TW;q=0.5, en-GB")).toBe("en");
+    expect(pickLocale("zh-HK")).toBe("zh-TW");
+    expect(pickLocale("de, zh;q=0")).toBe("en");
+    expect(pickLocale(["ja-JP", "zh-Hant-TW"])).toBe("zh-TW");
+    expect(pickLocale("")).toBe("en");
+    expect(pickLocale(undefined)).toBe("en");
+  });
+
+  it("fills placeholders and falls back to English", () => {
+    expect(translate("zh-TW", "error.too-large", { max: 10 })).toBe("上傳上限為 10 位元組");
+    expect(translate("xx", "error.too-large", { max: 10 })).toBe("Max upload is 10 bytes.");
+    expect(translate("en", "no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("localized errors", () => {
+  it("answers in English with a stable code by default", async () => {
+    const res = await sendEmptyClip();
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ ok: false, code: "no-parts", error: "Clip has no parts." });
+    expect(res.headers.get("content-language")).toBe("en");
+  });
+
+  it("follows Accept-Language for errors from the Worker and the mailbox", async () => {
+    const res = await sendEmptyClip("zh-TW,zh;q=0.9,en;q=0.8");
+    expect(res.body).toMatchObject({ code: "no-parts", error: "clip 沒有任何內容" });
+    expect(res.headers.get("content-language")).toBe("zh-TW");
+    expect(res.headers.get("vary")).toContain("accept-language");
+
+    const bad = await fetchWorker("/ws?user=abc", { headers: { "accept-language": "zh-TW" } });
+    expect(await bad.json()).toMatchObject({ code: "bad-user-id", error: "信箱代碼無效" });
+  });
+
+  it("localizes messages with parameters", async () => {
+    const res = await fetchWorker("/api/clip/prepare", {
+      method: "POST",
+      headers: { "content-type": "application/json", "accept-language": "zh-TW" },
+      body: JSON.stringify({
+        receiverId: randomMailbox(),
+        clipId: randomClipId(),
+        parts: Array.from({ length: 9 }, (_, i) => ({ name: `file-${i}`, size: 1 })),
+      }),
+    });
+    expect(await res.json()).toEqual({
+      ok: false,
+      code: "too-many-parts",
+      error: "每個 clip 最多 8 個項目",
+      params: { max: 8 },
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  MAILBOX_ID_FORMATS,
+  isMailboxId,
+  mailboxIdFormat,
+  newMailboxId,
+  normalizeMailboxId,
+} from "../public/sdk/mailbox-id.js";
+import { connect, newOwnerSecret, ownerProof, postJson, request, sendText } from "./helpers.js";
+
+function uniqueName() {
+  return `team-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+describe("mailbox codes", () => {
+  it("recognizes each format", () => {
+    expect(mailboxIdFormat("004217")).toBe("digits");
+    expect(mailboxIdFormat("7k3m9q2xwz")).toBe("base32");
+    expect(mailboxIdFormat("blue-otter-42")).toBe("words");
+    expect(mailboxIdFormat("team-design")).toBe("name");
+    expect(mailboxIdFormat("12345")).toBeNull();
+    expect(mailboxIdFormat("abc")).toBeNull();
+    expect(mailboxIdFormat("Team-Design")).toBeNull();
+    expect(mailboxIdFormat("team--design")).toBeNull();
+    expect(mailboxIdFormat("team-")).toBeNull();
+    expect(mailboxIdFormat("42-team")).toBeNull();
+    expect(mailboxIdFormat("a".repeat(33))).toBeNull();
+    expect(mailboxIdFormat(123456)).toBeNull();
+  });
+
+  it("normalizes what a person typed", () => {
+    expect(normalizeMailboxId("  Team-Design ")).toBe("team-design");
+    expect(normalizeMailboxId(undefined)).toBe("");
+  });
+
+  it("generates valid codes in every format", () => {
+    for (const format of MAILBOX_ID_FORMATS) {
+      for (let i = 0; i < 50; i++) expect(mailboxIdFormat(newMailboxId(format))).toBe(format);
+    }
+    expect(() => newMailboxId("emoji")).toThrow();
+  });
+
+  it("redraws digit codes that would skew toward low numbers", () => {
+    const draws = [2 ** 32 - 1, 1234567];
+    const spy = vi.spyOn(crypto, "getRandomValues").mockImplementation((arr) => {
+      arr[0] = draws.shift();
+      return arr;
+    });
+    try {
+      expect(newMailboxId("digits")).toBe("234567");
+      expect(spy).toHaveBeenCalledTimes(2);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+describe("longer and named mailboxes", () => {
+  it("claims, receives and deletes with every kind of code", async () => {
+    for (const receiverId of [newMailboxId("base32"), newMailboxId("words"), uniqueName()]) {
+      expect(isMailboxId(receiverId)).toBe(true);
+      const secret = newOwnerSecret();
+      const conn = await connect(receiverId, secret);
+      const sent = await sendText(receiverId, `to ${receiverId}`);
+      expect(sent.status).toBe(200);
+      expect((await conn.next("clip")).clip.id).toBe(sent.clipId);
+
+      const res = await postJson("/api/clip/delete", {
+        receiverId,
+        clipId: sent.clipId,
+        ...(await ownerProof(secret, "delete", sent.clipId)),
+      });
+      expect(res.body).toMatchObject({ ok: true, deleted: true });
+      conn.close();
+    }
+  });
+
+  it("rejects codes that are not canonical", async () => {
+    const send = await postJson("/api/clip/send", {
+      receiverId: "Team-Design",
+      clip: { id: crypto.randomUUID(), parts: [] },
+    });
+    expect(send.body).toMatchObject({ code: "bad-receiver-id" });
+    expect((await request("/ws?user=team_design")).body).toMatchObject({ code: "bad-user-id" });
+    expect((await request(`/ws?user=${"a".repeat(33)}`)).status).toBe(400);
+  });
+});
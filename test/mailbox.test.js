@@ -0,0 +1,668 @@
+import {
+  createExecutionContext,
+  createScheduledController,
+  runDurableObjectAlarm,
+  runInDurableObject,
+  waitOnExecutionContext,
+} from "cloudflare:test";
+import { env } from "cloudflare:workers";
+import { describe, expect, it, vi } from "vitest";
+import worker from "../src/index.js";
+import { MULTIPART_PART_BYTES } from "../public/sdk/netclip.js";
+import {
+  ORIGIN,
+  connect,
+  fetchWorker,
+  mailboxStub,
+  newOwnerSecret,
+  objectExists,
+  ownerProof,
+  postJson,
+  randomClipId,
+  randomMailbox,
+  request,
+  sendText,
+  startMultipart,
+  uploadParts,
+} from "./helpers.js";
+
+async function storedClipIds(receiverId) {
+  return runInDurableObject(mailboxStub(receiverId), (instance) =>
+    instance._listEntries().map((entry) => entry.clip.id)
+  );
+}
+
+describe("send", () => {
+  it("stores the clip and keeps the uploaded object", async () => {
+    const receiverId = randomMailbox();
+    const sent = await sendText(receiverId, "hello");
+
+    expect(sent.status).toBe(200);
+    expect(sent.body).toMatchObject({ ok: true, stored: true });
+    expect(sent.body.expiresAt).toBeGreaterThan(Date.now());
+    expect(await storedClipIds(receiverId)).toEqual([sent.clipId]);
+    expect(await objectExists(sent.keys[0])).toBe(true);
+  });
+
+  it("serves the part back through a download ticket", async () => {
+    const receiverId = randomMailbox();
+    const secret = newOwnerSecret();
+    const conn = await connect(receiverId, secret);
+
+    await sendText(receiverId, "round trip");
+    const { clip } = await conn.next("clip");
+    const p = clip.parts[0];
+    const res = await fetchWorker(`/api/r2/${encodeURIComponent(p.r2Key)}?t=${encodeURIComponent(p.ticket)}`);
+
+    expect(res.status).toBe(200);
+    expect(new TextDecoder().decode(await res.arrayBuffer())).toBe("round trip");
+    conn.close();
+  });
+
+  it("rejects a second clip with the same id", async () => {
+    const receiverId = randomMailbox();
+    const first = await sendText(receiverId, "one");
+    const parts = await uploadParts(receiverId, first.clipId, [{ name: "again", data: new Uint8Array([1]) }]);
+    const again = await postJson("/api/clip/send", { receiverId, clip: { id: first.clipId, parts } });
+
+    expect(again.status).toBe(409);
+    expect(await storedClipIds(receiverId)).toEqual([first.clipId]);
+  });
+});
+
+describe("replace", () => {
+  it("evicts the oldest clip and its objects past the history limit", async () => {
+    const receiverId = randomMailbox();
+    const sent = [];
+    for (let i = 0; i < 11; i++) sent.push(await sendText(receiverId, `clip ${i}`));
+
+    const ids = await storedClipIds(receiverId);
+    expect(ids).toHaveLength(10);
+    expect(ids).not.toContain(sent[0].clipId);
+    expect(ids).toContain(sent[10].clipId);
+    expect(await objectExists(sent[0].keys[0])).toBe(false);
+    expect(await objectExists(sent[1].keys[0])).toBe(true);
+  });
+});
+
+describe("ttl", () => {
+  it("schedules the alarm for the earliest expiry", async () => {
+    const receiverId = randomMailbox();
+    const long = await sendText(receiverId, "long", { ttlSec: 3600 });
+    const short = await sendText(receiverId, "short", { ttlSec: 60 });
+
+    const alarm = await runInDurableObject(mailboxStub(receiverId), (_, state) => state.storage.getAlarm());
+    expect(alarm).toBe(short.body.expiresAt);
+    expect(long.body.expiresAt - short.body.expiresAt).toBeGreaterThan(3000 * 1000);
+  });
+
+  it("clamps the requested ttl to the allowed range", async () => {
+    const receiverId = randomMailbox();
+    const before = Date.now();
+    const tooShort = await sendText(receiverId, "a", { ttlSec: 1 });
+    const tooLong = await sendText(receiverId, "b", { ttlSec: 10 * 24 * 3600 });
+
+    expect(tooShort.body.expiresAt - before).toBeGreaterThanOrEqual(60 * 1000);
+    expect(tooLong.body.expiresAt - before).toBeLessThanOrEqual(24 * 3600 * 1000 + 5000);
+  });
+
+  it("deletes expired clips and their objects when the alarm fires", async () => {
+    const receiverId = randomMailbox();
+    const conn = await connect(receiverId, newOwnerSecret());
+    const expired = await sendText(receiverId, "expired");
+    const live = await sendText(receiverId, "live", { ttlSec: 3600 });
+
+    const stub = mailboxStub(receiverId);
+    await runInDurableObject(stub, (instance) => {
+      instance.sql.exec("UPDATE clips SET expires_at = ? WHERE id = ?", Date.now() - 1, expired.clipId);
+    });
+    expect(await runDurableObjectAlarm(stub)).toBe(true);
+
+    expect(await conn.next("deleted")).toMatchObject({ clipId: expired.clipId, reason: "ttl-alarm" });
+    expect(await storedClipIds(receiverId)).toEqual([live.clipId]);
+    expect(await objectExists(expired.keys[0])).toBe(false);
+    expect(await objectExists(live.keys[0])).toBe(true);
+
+    const alarm = await runInDurableObject(stub, (_, state) => state.storage.getAlarm());
+    expect(alarm).toBe(live.body.expiresAt);
+    conn.close();
+  });
+
+  it("clears the alarm once the mailbox is empty", async () => {
+    const receiverId = randomMailbox();
+    const sent = await sendText(receiverId, "only");
+    const stub = mailboxStub(receiverId);
+
+    await runInDurableObject(stub, (instance) => {
+      instance.sql.exec("UPDATE clips SET expires_at = ? WHERE id = ?", Date.now() - 1, sent.clipId);
+    });
+    await runDurableObjectAlarm(stub);
+
+    expect(await storedClipIds(receiverId)).toEqual([]);
+    expect(await runInDurableObject(stub, (_, state) => state.storage.getAlarm())).toBeNull();
+  });
+});
+
+describe("delete", () => {
+  it("lets the sender revoke with the revoke token", async () => {
+    const receiverId = randomMailbox();
+    const revokeToken = "sender-secret-token";
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(revokeToken)));
+    const sent = await sendText(receiverId, "revocable", { revokeHash: btoa(String.fromCharCode(...digest)) });
+
+    const wrong = await postJson("/api/clip/delete", { receiverId, clipId: sent.clipId, revokeToken: "nope" });
+    expect(wrong.status).toBe(403);
+
+    const res = await postJson("/api/clip/delete", { receiverId, clipId: sent.clipId, revokeToken });
+    expect(res.body).toMatchObject({ ok: true, deleted: true });
+    expect(await storedClipIds(receiverId)).toEqual([]);
+    expect(await objectExists(sent.keys[0])).toBe(false);
+  });
+
+  it("lets the mailbox owner delete with a signed proof", async () => {
+    const receiverId = randomMailbox();
+    const secret = newOwnerSecret();
+    const conn = await connect(receiverId, secret);
+    const sent = await sendText(receiverId, "owned");
+
+    const res = await postJson("/api/clip/delete", {
+      receiverId,
+      clipId: sent.clipId,
+      ...(await ownerProof(secret, "delete", sent.clipId)),
+    });
+    expect(res.body).toMatchObject({ ok: true, deleted: true });
+    expect(await conn.next("deleted")).toMatchObject({ clipId: sent.clipId, reason: "manual" });
+    expect(await objectExists(sent.keys[0])).toBe(false);
+    conn.close();
+  });
+
+  it("refuses a proof signed with another key", async () => {
+    const receiverId = randomMailbox();
+    const conn = await connect(receiverId, newOwnerSecret());
+    const sent = await sendText(receiverId, "owned");
+
+    const res = await postJson("/api/clip/delete", {
+      receiverId,
+      clipId: sent.clipId,
+      ...(await ownerProof(newOwnerSecret(), "delete", sent.clipId)),
+    });
+    expect(res.status).toBe(403);
+    expect(await storedClipIds(receiverId)).toEqual([sent.clipId]);
+    conn.close();
+  });
+});
+
+describe("websocket", () => {
+  it("broadcasts new clips to every authenticated device", async () => {
+    const receiverId = randomMailbox();
+    const secret = newOwnerSecret();
+    const a = await connect(receiverId, secret);
+    const b = await connect(receiverId, secret);
+
+    const sent = await sendText(receiverId, "to all");
+    const [ma, mb] = await Promise.all([a.next("clip"), b.next("clip")]);
+
+    expect(ma.clip.id).toBe(sent.clipId);
+    expect(mb.clip.id).toBe(sent.clipId);
+    expect(ma.clip.parts[0].ticket).toEqual(expect.any(String));
+    a.close();
+    b.close();
+  });
+
+  it("sends the stored history after authentication", async () => {
+    const receiverId = randomMailbox();
+    const secret = newOwnerSecret();
+    const first = await connect(receiverId, secret);
+    const sent = await sendText(receiverId, "kept");
+    first.close();
+
+    const again = await connect(receiverId, secret);
+    expect(again.history.items.map((x) => x.clip.id)).toEqual([sent.clipId]);
+    expect(again.history.items[0].clip.parts[0].ticket).toEqual(expect.any(String));
+    again.close();
+  });
+
+  it("rejects a device that cannot prove ownership", async () => {
+    const receiverId = randomMailbox();
+    const owner = await connect(receiverId, newOwnerSecret());
+
+    await expect(
+      Promise.race([
+        connect(receiverId, newOwnerSecret()),
+        new Promise((_, reject) => setTimeout(() => reject(new Error("not authed")), 500)),
+      ])
+    ).rejects.toThrow("not authed");
+    owner.close();
+  });
+});
+
+describe("presence", () => {
+  async function nextPresence(conn, predicate) {
+    for (;;) {
+      const msg = await conn.next("presence");
+      if (predicate(msg.devices)) return msg.devices;
+    }
+  }
+
+  it("lists the mailbox's devices with names and online state", async () => {
+    const receiverId = randomMailbox();
+    const secret = newOwnerSecret();
+    const laptop = await connect(receiverId, secret, "laptop-device");
+    laptop.ws.send(JSON.stringify({ type: "set-name", name: "  My laptop  " }));
+    await nextPresence(laptop, (devices) => devices[0]?.name === "My laptop");
+
+    const phone = await connect(receiverId, secret, "phone-device");
+    const both = await nextPresence(phone, (devices) => devices.length === 2);
+    expect(both.find((d) => d.deviceId === "laptop-device")).toMatchObject({ name: "My laptop", online: true });
+    expect(both.find((d) => d.deviceId === "phone-device")).toMatchObject({ name: null, online: true });
+
+    laptop.close();
+    const after = await nextPresence(phone, (devices) => devices.some((d) => !d.online));
+    expect(after.find((d) => d.deviceId === "laptop-device")).toMatchObject({
+      online: false,
+      lastSeen: expect.any(Number),
+    });
+    phone.close();
+  });
+
+  it("delivers a targeted clip only to that device", async () => {
+    const receiverId = randomMailbox();
+    const secret = newOwnerSecret();
+    const laptop = await connect(receiverId, secret, "laptop-device");
+    const phone = await connect(receiverId, secret, "phone-device");
+
+    const sent = await sendText(receiverId, "laptop only", { to: "laptop-device" });
+    expect(sent.status).toBe(200);
+    expect((await laptop.next("clip")).clip.to).toBe("laptop-device");
+    await expect(
+      Promise.race([
+        phone.next("clip"),
+        new Promise((_, reject) => setTimeout(() => reject(new Error("no clip")), 300)),
+      ])
+    ).rejects.toThrow("no clip");
+    laptop.close();
+    phone.close();
+
+    const phoneAgain = await connect(receiverId, secret, "phone-device");
+    expect(phoneAgain.history.items).toEqual([]);
+    phoneAgain.close();
+    const laptopAgain = await connect(receiverId, secret, "laptop-device");
+    expect(laptopAgain.history.items.map((x) => x.clip.id)).toEqual([sent.clipId]);
+    laptopAgain.close();
+  });
+});
+
+describe("receipts", () => {
+  async function nextReceipt(conn, predicate) {
+    for (;;) {
+      const msg = await conn.next("receipt");
+      if (predicate(msg)) return msg;
+    }
+  }
+
+  it("relays deliveries and reads to the sender's mailbox", async () => {
+    const senderId = randomMailbox();
+    const senderSecret = newOwnerSecret();
+    const sender = await connect(senderId, senderSecret);
+    const receiverId = randomMailbox();
+    const receiver = await connect(receiverId, newOwnerSecret(), "receiver-device");
+
+    const clipId = randomClipId();
+    const sent = await sendText(
+      receiverId,
+      "read me",
+      { id: clipId, fromUser: senderId },
+      { receipts: await ownerProof(senderSecret, "receipts", clipId) }
+    );
+    expect(sent.status).toBe(200);
+
+    const { clip } = await receiver.next("clip");
+    expect(clip.receipts).toBe(true);
+    expect(await nextReceipt(sender, (r) => r.delivered === 1)).toMatchObject({
+      clipId,
+      receiverId,
+      delivered: 1,
+      opened: 0,
+    });
+
+    const part = clip.parts[0];
+    const res = await fetchWorker(`/api/r2/${encodeURIComponent(part.r2Key)}?t=${encodeURIComponent(part.ticket)}`);
+    expect(new TextDecoder().decode(await res.arrayBuffer())).toBe("read me");
+    expect(await nextReceipt(sender, (r) => r.opened === 1)).toMatchObject({ delivered: 1, opened: 1 });
+
+    sender.close();
+    receiver.close();
+  });
+
+  it("relays deletions to the sender's mailbox", async () => {
+    const senderId = randomMailbox();
+    const senderSecret = newOwnerSecret();
+    const sender = await connect(senderId, senderSecret);
+    const receiverId = randomMailbox();
+    const receiverSecret = newOwnerSecret();
+    const receiver = await connect(receiverId, receiverSecret);
+
+    const clipId = randomClipId();
+    await sendText(
+      receiverId,
+      "short lived",
+      { id: clipId, fromUser: senderId },
+      { receipts: await ownerProof(senderSecret, "receipts", clipId) }
+    );
+    await postJson("/api/clip/delete", { receiverId, clipId, ...(await ownerProof(receiverSecret, "delete", clipId)) });
+
+    expect(await sender.next("deleted")).toEqual({ type: "deleted", clipId, receiverId, reason: "manual" });
+    sender.close();
+    receiver.close();
+  });
+
+  it("tracks a sent clip for as long as the receiver keeps it", async () => {
+    const senderId = randomMailbox();
+    const senderSecret = newOwnerSecret();
+    const sender = await connect(senderId, senderSecret);
+    const receiverId = randomMailbox();
+    const outgoing = (clipId) =>
+      runInDurableObject(mailboxStub(senderId), (instance) =>
+        instance.sql.exec("SELECT expires_at FROM outgoing WHERE clip_id = ?", clipId).toArray()
+      );
+
+    const clipId = randomClipId();
+    const sent = await sendText(
+      receiverId,
+      "brief",
+      { id: clipId, fromUser: senderId, ttlSec: 60 },
+      { receipts: await ownerProof(senderSecret, "receipts", clipId) }
+    );
+    const [row] = await outgoing(clipId);
+    expect(Math.abs(row.expires_at - sent.body.expiresAt)).toBeLessThan(5000);
+
+    const refusedId = randomClipId();
+    const refused = await postJson("/api/clip/send", {
+      receiverId,
+      clip: { id: refusedId, ts: Date.now(), enc: null, parts: [], fromUser: senderId },
+      receipts: await ownerProof(senderSecret, "receipts", refusedId),
+    });
+    expect(refused.status).toBe(400);
+    expect(await outgoing(refusedId)).toEqual([]);
+    sender.close();
+  });
+
+  it("does not enable receipts without the sender's owner proof", async () => {
+    const senderId = randomMailbox();
+    const sender = await connect(senderId, newOwnerSecret());
+    const receiverId = randomMailbox();
+
+    const clipId = randomClipId();
+    const sent = await sendText(
+      receiverId,
+      "x",
+      { id: clipId, fromUser: senderId, receipts: true },
+      { receipts: await ownerProof(newOwnerSecret(), "receipts", clipId) }
+    );
+    expect(sent.status).toBe(200);
+
+    const receiver = await connect(receiverId, newOwnerSecret());
+    expect(receiver.history.items[0].clip.receipts).toBeUndefined();
+    sender.close();
+    receiver.close();
+  });
+});
+
+describe("validation", () => {
+  async function sendClip(receiverId, clip) {
+    return postJson("/api/clip/send", { receiverId, clip });
+  }
+
+  it("rejects bad mailbox codes and clip ids", async () => {
+    expect((await sendClip("12345", { id: randomClipId(), parts: [] })).status).toBe(400);
+    expect((await sendClip(randomMailbox(), { id: "short", parts: [] })).status).toBe(400);
+    expect((await request("/ws?user=abc")).status).toBe(400);
+    expect((await request(`/ws?user=${randomMailbox()}`)).status).toBe(426);
+  });
+
+  it("rejects a malformed target device", async () => {
+    const receiverId = randomMailbox();
+    const res = await sendText(receiverId, "x", { to: "d".repeat(65) });
+    expect(res.status).toBe(400);
+    expect((await request(`/ws?user=${receiverId}&device=${"d".repeat(65)}`)).status).toBe(400);
+  });
+
+  it("rejects clips without usable parts", async () => {
+    const res = await sendClip(randomMailbox(), {
+      id: randomClipId(),
+      parts: [{ kind: "file", r2Key: "other/../x.bin", ticket: "t" }],
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Clip has no parts.");
+  });
+
+  it("rejects parts whose key was not issued by a ticket", async () => {
+    const receiverId = randomMailbox();
+    const clipId = randomClipId();
+    const [part] = await uploadParts(receiverId, clipId, [{ name: "message", data: new Uint8Array([1]) }]);
+
+    const forged = await sendClip(receiverId, { id: randomClipId(), parts: [part] });
+    expect(forged.status).toBe(403);
+
+    const elsewhere = await sendClip(randomMailbox(), { id: clipId, parts: [part] });
+    expect(elsewhere.status).toBe(403);
+  });
+
+  it("rejects parts that were never uploaded", async () => {
+    const receiverId = randomMailbox();
+    const clipId = randomClipId();
+    const prepared = await postJson("/api/clip/prepare", { receiverId, clipId, parts: [{ name: "message", size: 5 }] });
+    const t = prepared.body.tickets[0];
+
+    const res = await sendClip(receiverId, { id: clipId, parts: [{ kind: "message", r2Key: t.key, ticket: t.ticket }] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Part has not been uploaded.");
+  });
+
+  it("rejects multipart parts larger than the ticket", async () => {
+    const upload = await startMultipart(1);
+    expect(await upload.putPart(1, 1024)).toMatchObject({ status: 413, body: { code: "over-ticket" } });
+    await upload.abort();
+  });
+
+  it("counts earlier multipart parts against the ticket", async () => {
+    const upload = await startMultipart(MULTIPART_PART_BYTES + 10);
+    expect(await upload.putPart(2, 11)).toMatchObject({ status: 413, body: { code: "over-ticket" } });
+    expect((await upload.putPart(2, 10)).status).toBe(200);
+    await upload.abort();
+  });
+
+  it("opens one multipart upload per ticket", async () => {
+    const upload = await startMultipart(1);
+    const again = await request(`${upload.base}&mpu=create`, { method: "POST" });
+    expect(again.body.uploadId).toBe(upload.uploadId);
+    expect(await objectExists(upload.markerKey)).toBe(true);
+
+    await upload.abort();
+    expect(await objectExists(upload.markerKey)).toBe(false);
+  });
+
+  it("rejects SVG images", async () => {
+    const receiverId = randomMailbox();
+    const clipId = randomClipId();
+    const parts = await uploadParts(receiverId, clipId, [
+      { name: "file-0", data: new TextEncoder().encode("<svg/>"), kind: "image", mime: "image/svg+xml" },
+    ]);
+
+    const res = await sendClip(receiverId, { id: clipId, parts });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("SVG images are not allowed.");
+  });
+
+  it("requires clip.enc for an encrypted manifest", async () => {
+    const receiverId = randomMailbox();
+    const clipId = randomClipId();
+    const parts = await uploadParts(receiverId, clipId, [{ name: "p0", data: new Uint8Array([1, 2, 3]) }]);
+
+    const res = await sendClip(receiverId, { id: clipId, enc: null, manifest: { ivB64: "AAAA", dataB64: "AAAA" }, parts });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Invalid manifest.");
+  });
+
+  it("strips part metadata when a manifest is present", async () => {
+    const receiverId = randomMailbox();
+    const clipId = randomClipId();
+    const parts = await uploadParts(receiverId, clipId, [
+      { name: "p0", data: new Uint8Array([1, 2, 3]), kind: "file", mime: "text/plain", filename: "secret.txt" },
+    ]);
+
+    const res = await sendClip(receiverId, {
+      id: clipId,
+      enc: { v: 2, alg: "PBKDF2-AESGCM", iter: 1, saltB64: "AAAA", chunkBytes: 65536 },
+      manifest: { ivB64: "AAAAAAAAAAAAAAAA", dataB64: "AAAA" },
+      parts: parts.map((p) => ({ ...p, enc: { nonceB64: "AAAAAAAAAA==" } })),
+    });
+    expect(res.status).toBe(200);
+
+    const [stored] = await runInDurableObject(mailboxStub(receiverId), (instance) => instance._listEntries());
+    expect(Object.keys(stored.clip.parts[0]).sort()).toEqual(["enc", "r2Key", "size"]);
+  });
+
+  it("keeps valid message formats and drops the rest", async () => {
+    const receiverId = randomMailbox();
+    const clipId = randomClipId();
+    const text = (t) => new TextEncoder().encode(t);
+    const parts = await uploadParts(receiverId, clipId, [
+      { name: "m0", data: text("print(1)"), mime: "text/plain" },
+      { name: "m1", data: text("<b>hi</b>"), mime: "text/html" },
+      { name: "f2", data: text("# hi"), kind: "file", mime: "text/markdown", filename: "a.md" },
+    ]);
+    parts[0] = { ...parts[0], format: "code", lang: "Python" };
+    parts[1] = { ...parts[1], format: "script", lang: "<x>" };
+    parts[2] = { ...parts[2], format: "markdown" };
+
+    const res = await sendClip(receiverId, { id: clipId, ts: Date.now(), enc: null, parts });
+    expect(res.status).toBe(200);
+
+    const [stored] = await runInDurableObject(mailboxStub(receiverId), (instance) => instance._listEntries());
+    const formats = stored.clip.parts.map((p) => ({ format: p.format, lang: p.lang }));
+    expect(formats).toEqual([
+      { format: "code", lang: "python" },
+      { format: undefined, lang: undefined },
+      { format: undefined, lang: undefined },
+    ]);
+  });
+
+  it("normalizes burn and download limits", async () => {
+    const receiverId = randomMailbox();
+    const burn = await sendText(receiverId, "burn", { burn: true, maxDownloads: 5 });
+    const many = await sendText(receiverId, "many", { maxDownloads: 1000 });
+    const bogus = await sendText(receiverId, "bogus", { burn: "yes", maxDownloads: -1 });
+
+    const entries = await runInDurableObject(mailboxStub(receiverId), (instance) => instance._listEntries());
+    const policy = (id) => {
+      const { clip } = entries.find((entry) => entry.clip.id === id);
+      return { burn: clip.burn, maxDownloads: clip.maxDownloads };
+    };
+    expect(policy(burn.clipId)).toEqual({ burn: true, maxDownloads: 1 });
+    expect(policy(many.clipId)).toEqual({ burn: false, maxDownloads: 100 });
+    expect(policy(bogus.clipId)).toEqual({ burn: false, maxDownloads: undefined });
+  });
+
+  async function download(part) {
+    const res = await fetchWorker(`/api/r2/${encodeURIComponent(part.r2Key)}?t=${encodeURIComponent(part.ticket)}`);
+    expect(res.status).toBe(200);
+    return res.text();
+  }
+
+  it("deletes a burn-after-reading clip after its first full download", async () => {
+    const receiverId = randomMailbox();
+    const conn = await connect(receiverId, newOwnerSecret());
+    const sent = await sendText(receiverId, "read once", { burn: true });
+    const { clip } = await conn.next("clip");
+
+    expect(await download(clip.parts[0])).toBe("read once");
+    expect(await conn.next("deleted")).toMatchObject({ clipId: sent.clipId, reason: "burned" });
+    expect(await storedClipIds(receiverId)).toEqual([]);
+    expect(await objectExists(sent.keys[0])).toBe(false);
+    conn.close();
+  });
+
+  it("deletes a clip once it reaches its download limit", async () => {
+    const receiverId = randomMailbox();
+    const conn = await connect(receiverId, newOwnerSecret());
+    const sent = await sendText(receiverId, "twice", { maxDownloads: 2 });
+    const { clip } = await conn.next("clip");
+
+    await download(clip.parts[0]);
+    await vi.waitFor(async () => {
+      const count = await runInDurableObject(mailboxStub(receiverId), (instance) =>
+        instance.sql.exec("SELECT count FROM downloads WHERE clip_id = ?", sent.clipId).toArray()[0]?.count
+      );
+      expect(count).toBe(1);
+    });
+    expect(await storedClipIds(receiverId)).toEqual([sent.clipId]);
+    expect(await objectExists(sent.keys[0])).toBe(true);
+
+    await download(clip.parts[0]);
+    expect(await conn.next("deleted")).toMatchObject({ clipId: sent.clipId, reason: "max-downloads" });
+    expect(await storedClipIds(receiverId)).toEqual([]);
+    expect(await objectExists(sent.keys[0])).toBe(false);
+    conn.close();
+  });
+});
+
+describe("orphan sweep", () => {
+  it("removes orphaned objects, expired clips and stale uploads but keeps live clips", async () => {
+    const receiverId = randomMailbox();
+    const orphan = await uploadParts(receiverId, randomClipId(), [{ name: "message", data: new Uint8Array([1]) }]);
+    const expired = await sendText(receiverId, "expired");
+    const live = await sendText(receiverId, "live", { ttlSec: 24 * 3600 });
+    const upload = await startMultipart(1, receiverId);
+
+    await runInDurableObject(mailboxStub(receiverId), (instance) => {
+      instance.sql.exec("UPDATE clips SET expires_at = ? WHERE id = ?", Date.now() - 1, expired.clipId);
+    });
+
+    // Past the grace period for fresh objects and the upload ticket's expiry.
+    const later = Date.now() + 3 * 3600 * 1000;
+    vi.spyOn(Date, "now").mockReturnValue(later);
+    try {
+      const ctx = createExecutionContext();
+      await worker.scheduled(createScheduledController({ scheduledTime: later, cron: "*/30 * * * *" }), env, ctx);
+      await waitOnExecutionContext(ctx);
+    } finally {
+      vi.restoreAllMocks();
+    }
+
+    expect(await objectExists(orphan[0].r2Key)).toBe(false);
+    expect(await objectExists(expired.keys[0])).toBe(false);
+    expect(await objectExists(live.keys[0])).toBe(true);
+    expect(await storedClipIds(receiverId)).toEqual([live.clipId]);
+
+    expect(await objectExists(upload.markerKey)).toBe(false);
+    const part = env.CLIP_BUCKET.resumeMultipartUpload(upload.key, upload.uploadId).uploadPart(1, new Uint8Array(1));
+    await expect(part).rejects.toThrow();
+  });
+});
+
+describe("rate limits", () => {
+  it("limits the clips one mailbox receives, whoever sends them", async () => {
+    const limited = { ...env, RATE_LIMIT_IP_SEND: "2/60", RATE_LIMIT_MAILBOX_SEND: "2/60" };
+    const receiverId = randomMailbox();
+    let sent = 1;
+    const send = async () => {
+      const clipId = randomClipId();
+      const parts = await uploadParts(receiverId, clipId, [{ name: "message", data: new Uint8Array([1]) }]);
+      // A new address each time, so only the mailbox's own bucket can run out.
+      const req = new Request(`${ORIGIN}/api/clip/send`, {
+        method: "POST",
+        headers: { "content-type": "application/json", "CF-Connecting-IP": `198.51.100.${sent++}` },
+        body: JSON.stringify({ receiverId, clip: { id: clipId, ts: Date.now(), enc: null, parts } }),
+      });
+      return worker.fetch(req, limited, createExecutionContext());
+    };
+
+    expect((await send()).status).toBe(200);
+    expect((await send()).status).toBe(200);
+    const res = await send();
+    expect(res.status).toBe(429);
+    expect(Number(res.headers.get("retry-after"))).toBeGreaterThan(0);
+    expect(await res.json()).toMatchObject({ code: "rate-limited" });
+  });
+});
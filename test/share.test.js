@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { fetchWorker } from "./helpers.js";
+
+function share(fields) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  return fetchWorker("/share", { method: "POST", body: form, redirect: "manual" });
+}
+
+describe("share target", () => {
+  it("serves the service worker from the origin root", async () => {
+    const res = await fetchWorker("/sw.js");
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-type")).toContain("javascript");
+    expect(await res.text()).toContain('url.pathname === "/share"');
+  });
+
+  it("redirects a share without a service worker with its text in the fragment", async () => {
+    const res = await share({ title: "Note", text: "hello", url: "https://example.com/" });
+    expect(res.status).toBe(303);
+    const location = new URL(res.headers.get("location"));
+    expect(location.pathname).toBe("/");
+    expect(location.searchParams.get("share")).toBe("text");
+    expect(new URLSearchParams(location.hash.slice(1)).get("text")).toBe("Note\nhello\nhttps://example.com/");
+  });
+
+  it("reports shared files it cannot carry over", async () => {
+    const res = await share({ text: "photo", files: new File(["x"], "a.png", { type: "image/png" }) });
+    expect(res.status).toBe(303);
+    expect(new URL(res.headers.get("location")).searchParams.get("share")).toBe("lost");
+  });
+});
@@ -0,0 +1,169 @@
+import { env } from "cloudflare:workers";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { encryptPayload, parseSubscription } from "../src/webpush.js";
+import { connect, newOwnerSecret, randomMailbox, sendText } from "./helpers.js";
+
+const PUSH_ORIGIN = "https://push.test";
+const ECDH = { name: "ECDH", namedCurve: "P-256" };
+
+function b64url(u8) {
+  return btoa(String.fromCharCode(...u8)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromB64url(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4)), (c) => c.charCodeAt(0));
+}
+
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey("raw", ikm, "HKDF", false, ["deriveBits"]);
+  return new Uint8Array(await crypto.subtle.deriveBits({ name: "HKDF", hash: "SHA-256", salt, info }, key, length * 8));
+}
+
+// What a browser's PushManager hands out, plus the private key it keeps.
+async function browserSubscription(endpoint = `${PUSH_ORIGIN}/send/${crypto.randomUUID()}`) {
+  const pair = await crypto.subtle.generateKey(ECDH, true, ["deriveBits"]);
+  const p256dh = new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey));
+  const auth = crypto.getRandomValues(new Uint8Array(16));
+  return { privateKey: pair.privateKey, json: { endpoint, keys: { p256dh: b64url(p256dh), auth: b64url(auth) } } };
+}
+
+// The user agent's side of RFC 8291.
+async function decryptPayload(sub, body) {
+  const salt = body.slice(0, 16);
+  const idlen = body[20];
+  const asPublic = body.slice(21, 21 + idlen);
+  const uaPublic = fromB64url(sub.json.keys.p256dh);
+
+  const asKey = await crypto.subtle.importKey("raw", asPublic, ECDH, false, []);
+  const shared = new Uint8Array(await crypto.subtle.deriveBits({ name: "ECDH", public: asKey }, sub.privateKey, 256));
+  const info = new Uint8Array([...new TextEncoder().encode("WebPush: info\0"), ...uaPublic, ...asPublic]);
+  const ikm = await hkdf(fromB64url(sub.json.keys.auth), shared, info, 32);
+  const cek = await hkdf(salt, ikm, new TextEncoder().encode("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = await hkdf(salt, ikm, new TextEncoder().encode("Content-Encoding: nonce\0"), 12);
+
+  const key = await crypto.subtle.importKey("raw", cek, "AES-GCM", false, ["decrypt"]);
+  const record = new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv: nonce }, key, body.slice(21 + idlen)));
+  expect(record.at(-1)).toBe(2);
+  return new TextDecoder().decode(record.slice(0, -1));
+}
+
+async function verifyVapid(authorization) {
+  const m = /^vapid t=([^,]+), k=(.+)$/.exec(authorization);
+  expect(m).not.toBeNull();
+  expect(m[2]).toBe(env.VAPID_PUBLIC_KEY);
+
+  const [header, claims, sig] = m[1].split(".");
+  const key = await crypto.subtle.importKey("raw", fromB64url(m[2]), { name: "ECDSA", namedCurve: "P-256" }, false, [
+    "verify",
+  ]);
+  const valid = await crypto.subtle.verify(
+    { name: "ECDSA", hash: "SHA-256" },
+    key,
+    fromB64url(sig),
+    new TextEncoder().encode(`${header}.${claims}`)
+  );
+  expect(valid).toBe(true);
+  return JSON.parse(new TextDecoder().decode(fromB64url(claims)));
+}
+
+// Stands in for the push service: records each push and answers `status`.
+function stubPushService(status = 201) {
+  const pushes = [];
+  const realFetch = globalThis.fetch;
+  vi.spyOn(globalThis, "fetch").mockImplementation(async (input, init) => {
+    const req = new Request(input, init);
+    if (!req.url.startsWith(PUSH_ORIGIN)) return realFetch(input, init);
+    pushes.push({ url: req.url, headers: req.headers, body: new Uint8Array(await req.arrayBuffer()) });
+    return new Response(null, { status });
+  });
+  return pushes;
+}
+
+// Subscribes `deviceId` for pushes, then leaves it offline.
+async function subscribeOffline(receiverId, secret, deviceId, locale) {
+  const sub = await browserSubscription();
+  const conn = await connect(receiverId, secret, deviceId);
+  conn.ws.send(JSON.stringify({ type: "push-subscribe", subscription: sub.json, locale }));
+  expect(await conn.next("push")).toMatchObject({ enabled: true });
+  conn.close();
+  return sub;
+}
+
+async function waitForOffline(conn, deviceId) {
+  for (;;) {
+    const { devices } = await conn.next("presence");
+    if (devices.some((d) => d.deviceId === deviceId && !d.online)) return;
+  }
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("web push", () => {
+  it("encrypts payloads only the subscription's keys can open", async () => {
+    const sub = await browserSubscription();
+    const body = await encryptPayload(parseSubscription(sub.json), new TextEncoder().encode("hello"));
+    expect(new DataView(body.buffer).getUint32(16)).toBe(4096);
+    expect(await decryptPayload(sub, body)).toBe("hello");
+
+    const other = await browserSubscription();
+    await expect(decryptPayload({ ...other, json: sub.json }, body)).rejects.toThrow();
+  });
+
+  it("rejects malformed subscriptions", async () => {
+    const { json } = await browserSubscription();
+    expect(parseSubscription(json)).toEqual({ endpoint: json.endpoint, ...json.keys });
+    expect(parseSubscription({ ...json, endpoint: "http://push.example/x" })).toBeNull();
+    expect(parseSubscription({ ...json, endpoint: "http://localhost:9000/x" })).not.toBeNull();
+    expect(parseSubscription({ ...json, keys: { ...json.keys, auth: "c2hvcnQ" } })).toBeNull();
+    expect(parseSubscription({ ...json, keys: { ...json.keys, p256dh: json.keys.auth } })).toBeNull();
+  });
+
+  it("notifies offline devices of a new clip with a VAPID-signed push", async () => {
+    const receiverId = randomMailbox();
+    const secret = newOwnerSecret();
+    const sub = await subscribeOffline(receiverId, secret, "phone-device", "zh-TW");
+    const laptop = await connect(receiverId, secret, "laptop-device");
+    await waitForOffline(laptop, "phone-device");
+    const pushes = stubPushService();
+
+    const sent = await sendText(receiverId, "hi", { fromUser: "482913" });
+    expect(sent.status).toBe(200);
+    await laptop.next("clip");
+    await vi.waitFor(() => expect(pushes).toHaveLength(1));
+
+    const [push] = pushes;
+    expect(push.url).toBe(sub.json.endpoint);
+    expect(push.headers.get("content-encoding")).toBe("aes128gcm");
+    expect(Number(push.headers.get("ttl"))).toBeGreaterThan(0);
+    const claims = await verifyVapid(push.headers.get("authorization"));
+    expect(claims).toMatchObject({ aud: PUSH_ORIGIN, sub: env.VAPID_SUBJECT });
+    expect(JSON.parse(await decryptPayload(sub, push.body))).toEqual({
+      type: "clip",
+      clipId: sent.clipId,
+      fromUser: "482913",
+      body: "收到來自 482913 的新內容",
+    });
+    laptop.close();
+  });
+
+  it("forgets subscriptions the push service reports gone", async () => {
+    const receiverId = randomMailbox();
+    const secret = newOwnerSecret();
+    await subscribeOffline(receiverId, secret, "phone-device");
+    const watcher = await connect(receiverId, secret, "watcher-device");
+    await waitForOffline(watcher, "phone-device");
+    const pushes = stubPushService(410);
+
+    await sendText(receiverId, "one");
+    await vi.waitFor(() => expect(pushes).toHaveLength(1));
+    await watcher.next("clip");
+    await sendText(receiverId, "two");
+    await watcher.next("clip");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(pushes).toHaveLength(1);
+    watcher.close();
+  });
+});
@@ -0,0 +1,26 @@
+import { cloudflareTest } from "@cloudflare/vitest-pool-workers";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  plugins: [
+    cloudflareTest({
+      wrangler: { configPath: "./wrangler.toml" },
+      miniflare: {
+        bindings: {
+          TICKET_SECRET: "test-ticket-secret",
+          // Tests send from one address far faster than any real client.
+          RATE_LIMIT_IP_SEND: "0",
+          RATE_LIMIT_IP_UPLOAD: "0",
+          RATE_LIMIT_IP_WS: "0",
+          RATE_LIMIT_IP_LOOKUP: "0",
+          RATE_LIMIT_MAILBOX_SEND: "0",
+          RATE_LIMIT_MAILBOX_WS: "0",
+          // A throwaway key pair; pushes go to a stubbed endpoint.
+          VAPID_PUBLIC_KEY: "BKI5LTt6B43-Voqb08g7pcDf188tlTHNPltJ5GYEbADRnHR1b_m9Yd9bHBS6J0PVHIp-eI19znuVzywgtDVU_tA",
+          VAPID_PRIVATE_KEY: "hu_Q8aZavx3KH-3zkOdbaQNL2-OjPEzInLjQkoO-nQ8",
+          VAPID_SUBJECT: "mailto:test@netclipboard.test",
+        },
+      },
+    }),
+  ],
+});